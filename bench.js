@@ -0,0 +1,280 @@
+const {AssertionError} = require('chai');
+const fs = require('fs-extra');
+const path = require('path');
+const mdl = require('shr-models');
+const {SpecificationsBuilder} = require('./builder.js');
+const {defineCases, runAsync, isUpdateEnvSet} = require('./suite.js');
+
+// Set this environment variable (e.g. SHR_UPDATE_BASELINE=1) to run commonBenchmarkTests in "update baseline" mode
+const UPDATE_ENV_VAR = 'SHR_UPDATE_BASELINE';
+
+// The number of times each scenario is exported; the median is reported
+const DEFAULT_RUNS = 3;
+
+// The mocha timeout (ms) for each scenario, unless the timeout option is set
+const DEFAULT_TIMEOUT = 60000;
+
+// How far a measurement can exceed its baseline before a case fails:
+// - time, heap:            the allowed increase, as a fraction of the baseline (e.g. 0.5 allows 50% more)
+// - minTimeMs, minHeapBytes: the allowed increase is never less than this, so that small, noisy baselines don't fail
+const DEFAULT_TOLERANCE = {
+  time: 0.5,
+  heap: 1,
+  minTimeMs: 10,
+  minHeapBytes: 4 * 1024 * 1024
+};
+
+// The scale scenarios.  Each one scales up patterns from the fixtures.  The fixtures are written with shr-models
+// constructors, but these are declared with the SpecificationsBuilder, since they generate numbered copies from size
+// parameters and the builder rejects references to copies that were never declared.  (test/builder-test.js checks
+// that the builder builds the same Specifications as the fixture functions.)  Each scenario has:
+// - name:        the scenario name, used in baseline and results files
+// - description: a short description of what the scenario models
+// - tags:        the families the scenario belongs to, used to include or exclude scenarios
+// - params:      the default size parameters
+// - build:       a function that populates a given mdl.Specifications for the given parameters
+// - specs:       a function that returns a fresh mdl.Specifications populated by build
+const SCALE_SCENARIOS = [
+  {
+    name: 'ManyGroups',
+    description: 'Copies of the Group and GroupDerivative fixtures (with their subelements), spread across namespaces ' +
+      'that refer to each other.',
+    tags: ['scale', 'group', 'inheritance', 'namespace:foreign'],
+    params: { copies: 100, namespaces: 5 },
+    build: (specs, params) => addManyGroups(specs, params.copies, params.namespaces)
+  },
+  {
+    name: 'DeepInheritance',
+    description: 'A long basedOn chain in which each element adds a nested type constraint to a type from a second ' +
+      'basedOn chain.',
+    tags: ['scale', 'inheritance', 'constraint:type', 'constraint:path'],
+    params: { depth: 50 },
+    build: (specs, params) => addDeepInheritance(specs, params.depth)
+  }
+].map(defineScenario);
+
+function defineScenario(scenario) {
+  return Object.freeze(Object.assign({}, scenario, {
+    tags: Object.freeze(scenario.tags.slice()),
+    params: Object.freeze(Object.assign({}, scenario.params)),
+    specs: (params=scenario.params) => {
+      const specs = new mdl.Specifications();
+      scenario.build(specs, params);
+      return specs;
+    }
+  }));
+}
+
+// Adds copies numbered 0 to copies-1 of Group and GroupDerivative.  Copy i is in the namespace shr.scale<i % namespaces>
+// and its foreign element value is from the next namespace.
+function addManyGroups(specs, copies, namespaces) {
+  const builder = new SpecificationsBuilder(undefined, specs);
+  for (let i = 0; i < copies; i++) {
+    const ns = `shr.scale${i % namespaces}`;
+    const otherNS = `shr.scale${(i + 1) % namespaces}`;
+    builder.namespace(otherNS)
+      .element(`Simple${i}`, simpleDeclaration())
+      .namespace(ns)
+      .element(`Simple${i}`, simpleDeclaration())
+      .element(`Coded${i}`, {
+        description: 'It is a coded element',
+        value: { type: 'concept', constraints: [{ valueSet: 'http://standardhealthrecord.org/test/vs/Coded' }] }
+      })
+      .element(`ElementValue${i}`, { description: 'It is an element with an element value', value: `Simple${i}` })
+      .element(`ForeignElementValue${i}`, {
+        description: 'It is an element with a foreign element value',
+        value: `${otherNS}.Simple${i}`
+      })
+      .element(`Group${i}`, {
+        entry: true,
+        description: 'It is a group of elements',
+        concepts: [['http://foo.org', 'bar', 'Foobar'], ['http://boo.org', 'far', 'Boofar']],
+        fields: [
+          `Simple${i}`,
+          { type: `Coded${i}`, card: '0..1' },
+          { type: `ElementValue${i}`, card: '0..*' },
+          { type: `ForeignElementValue${i}`, card: '0..1' }
+        ]
+      })
+      .element(`GroupDerivative${i}`, {
+        entry: true,
+        description: 'It is a derivative of a group of elements',
+        basedOn: `Group${i}`,
+        value: 'string'
+      });
+  }
+  return builder.build();
+}
+
+// Adds Level0 to Level<depth>, each based on the previous one, and SimpleChild1 to SimpleChild<depth>, each based on
+// the previous one (and SimpleChild1 on Simple).  Level<k> constrains the Simple in its ElementField to SimpleChild<k>.
+function addDeepInheritance(specs, depth) {
+  const builder = new SpecificationsBuilder('shr.scale', specs)
+    .element('Simple', simpleDeclaration())
+    .element('ElementField', { description: 'It is an element with a field.', fields: ['Simple'] })
+    .element('Level0', {
+      entry: true,
+      description: 'It is the base of a long chain of elements.',
+      fields: [{ type: 'ElementField', card: '0..1' }]
+    });
+  for (let k = 1; k <= depth; k++) {
+    builder.element(`SimpleChild${k}`, {
+      description: 'A derivative of the simple type.',
+      basedOn: k === 1 ? 'Simple' : `SimpleChild${k - 1}`,
+      value: 'string'
+    }).element(`Level${k}`, {
+      entry: true,
+      description: 'It derives the previous element in the chain, constraining its nested field.',
+      basedOn: `Level${k - 1}`,
+      fields: [{ type: 'ElementField', card: '0..1', constraints: [{ type: `SimpleChild${k}`, path: ['Simple'] }] }]
+    });
+  }
+  return builder.build();
+}
+
+function simpleDeclaration() {
+  return { description: 'It is a simple element', concepts: [['http://foo.org', 'bar', 'Foobar']], value: 'string' };
+}
+
+// Exports fresh specs from specsFn runs times, resolving to the median export time (in ms) and heap growth (in bytes).
+// The specs are built before each run (and the garbage collector is run, if node was started with --expose-gc), so
+// neither is measured.  Throws if runs is less than 1, since there would be nothing to take the median of.
+function measureExport(exportFn, specsFn, runs=DEFAULT_RUNS) {
+  checkRuns(runs);
+  const times = [];
+  const heaps = [];
+  const measure = () => {
+    const specs = specsFn();
+    if (typeof global.gc === 'function') {
+      global.gc();
+    }
+    const heapBefore = process.memoryUsage().heapUsed;
+    const start = process.hrtime();
+    return runAsync(exportFn, specs).then(() => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      times.push(seconds * 1e3 + nanoseconds / 1e6);
+      heaps.push(Math.max(0, process.memoryUsage().heapUsed - heapBefore));
+    });
+  };
+  let runsDone = Promise.resolve();
+  for (let i = 0; i < runs; i++) {
+    runsDone = runsDone.then(measure);
+  }
+  return runsDone.then(() => {
+    return { timeMs: round(median(times)), heapBytes: Math.round(median(heaps)), runs };
+  });
+}
+
+// Returns a description of each budget (time or heap) the measurement exceeds, compared with its baseline
+function compareToBaseline(measurement, baseline, tolerance={}) {
+  const tol = Object.assign({}, DEFAULT_TOLERANCE, tolerance);
+  const exceeded = [];
+  const timeBudget = baseline.timeMs + Math.max(baseline.timeMs * tol.time, tol.minTimeMs);
+  if (measurement.timeMs > timeBudget) {
+    exceeded.push(`export took ${measurement.timeMs}ms, more than the budget of ${round(timeBudget)}ms (baseline ${baseline.timeMs}ms)`);
+  }
+  const heapBudget = baseline.heapBytes + Math.max(baseline.heapBytes * tol.heap, tol.minHeapBytes);
+  if (measurement.heapBytes > heapBudget) {
+    exceeded.push(`heap grew by ${measurement.heapBytes} bytes, more than the budget of ${Math.round(heapBudget)} bytes (baseline ${baseline.heapBytes} bytes)`);
+  }
+  return exceeded;
+}
+
+// commonBenchmarkTests defines one mocha test per scale scenario, each exporting the scenario with exportFn and
+// measuring the export time and heap growth.  If there is a baseline for the scenario, the case fails when a
+// measurement exceeds it by more than the tolerance.  Options:
+// - exportFn:       the function under test; it may return a Promise (or any thenable)
+// - params:         an object mapping scenario names to size parameters that override the scenario's defaults (e.g.
+//                   { ManyGroups: { copies: 500 } }).  Baselines recorded with other parameters aren't compared.
+// - runs:           the number of times each scenario is exported (default 3); the median is used
+// - baselinePath:   the JSON file holding the baseline measurements
+// - tolerance:      overrides for DEFAULT_TOLERANCE
+// - updateBaseline: write the measurements to baselinePath instead of comparing against it.  Setting the
+//                   SHR_UPDATE_BASELINE environment variable does the same.
+// - resultsPath:    the directory to write the measurements to, as benchmark.json
+// - include, exclude, timeout: as for commonExportTests (the timeout defaults to 60 seconds)
+function commonBenchmarkTests(options={}) {
+  const {exportFn, baselinePath, resultsPath} = options;
+  const updateBaseline = options.updateBaseline || isUpdateEnvSet(UPDATE_ENV_VAR);
+  if (updateBaseline && !baselinePath) {
+    throw new Error(`Updating the baseline (options.updateBaseline or ${UPDATE_ENV_VAR}) requires options.baselinePath`);
+  }
+  if (typeof options.runs !== 'undefined') {
+    checkRuns(options.runs);
+  }
+
+  return () => {
+    const results = {};
+    let baseline = {};
+
+    // Note: using ES5 function syntax instead of () => due to bug in mocha that doesn't preserve context of 'this'
+    before(function() {
+      if (baselinePath && fs.existsSync(baselinePath)) {
+        baseline = fs.readJsonSync(baselinePath);
+      } else if (baselinePath && !updateBaseline) {
+        console.warn(`Benchmark baseline ${baselinePath} does not exist, so no measurements will be compared`);
+      }
+    });
+
+    after(function() {
+      if (resultsPath) {
+        fs.mkdirpSync(resultsPath);
+        fs.writeFileSync(path.join(resultsPath, 'benchmark.json'), JSON.stringify(results, null, 2));
+      }
+      if (updateBaseline && Object.keys(results).length) {
+        // Keep the baselines of scenarios that didn't run
+        fs.mkdirpSync(path.dirname(baselinePath));
+        fs.writeFileSync(baselinePath, JSON.stringify(Object.assign({}, baseline, results), null, 2));
+        console.warn(`Updated benchmark baseline ${baselinePath} for: ${Object.keys(results).join(', ')}`);
+      }
+    });
+
+    const paramsFor = (scenario) => Object.assign({}, scenario.params, (options.params || {})[scenario.name]);
+    const settings = {
+      title: (scenario) => `should export the ${scenario.name} scale scenario within its baseline`,
+      defaultTimeout: DEFAULT_TIMEOUT,
+      specs: (scenario) => scenario.specs(paramsFor(scenario))
+    };
+    defineCases(SCALE_SCENARIOS, options, settings, (scenario) => {
+      const params = paramsFor(scenario);
+      return measureExport(exportFn, () => scenario.specs(params), options.runs).then((measurement) => {
+        results[scenario.name] = Object.assign({ params }, measurement);
+        const base = baseline[scenario.name];
+        if (updateBaseline || !base) {
+          return;
+        } else if (!sameParams(base.params, params)) {
+          console.warn(`The baseline for ${scenario.name} was measured with different parameters, so it was not compared`);
+          return;
+        }
+        const exceeded = compareToBaseline(measurement, base, options.tolerance);
+        if (exceeded.length) {
+          throw new AssertionError(`${scenario.name} exceeded its baseline: ${exceeded.join('; ')}`);
+        }
+      });
+    });
+  };
+}
+
+function checkRuns(runs) {
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error(`The number of benchmark runs must be an integer of at least 1: ${runs}`);
+  }
+}
+
+function sameParams(a={}, b={}) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => a[k] === b[k]);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+module.exports = {commonBenchmarkTests, measureExport, compareToBaseline, addManyGroups, addDeepInheritance,
+  SCALE_SCENARIOS, DEFAULT_TOLERANCE};
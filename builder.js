@@ -0,0 +1,243 @@
+const mdl = require('shr-models');
+
+// SpecificationsBuilder builds an mdl.Specifications from compact element declarations, so new fixtures don't need
+// long chains of shr-models constructors.  For example:
+//   new SpecificationsBuilder('shr.test')
+//     .element('Simple', { description: 'It is a simple element', value: 'string' })
+//     .element('Group', { entry: true, fields: [{ type: 'Simple', card: '0..*' }, 'shr.other.test.Simple'] })
+//     .element('shr.other.test.Simple', { value: 'string' })
+//     .build();
+//
+// A type reference is a primitive name (e.g. 'string'), a name in the builder's current namespace (e.g. 'Simple'),
+// a fully qualified name (e.g. 'shr.other.test.Simple'), 'TBD', or an mdl identifier.
+//
+// An element declaration can contain:
+// - entry, abstract: booleans, both defaulting to false
+// - description:     the element description
+// - concepts:        a list of mdl.Concept or [system, code, display] arrays
+// - basedOn:         a type reference or list of type references
+// - value:           a value declaration
+// - fields:          a list of value declarations
+//
+// A value declaration is a type reference (with cardinality 1..1), an mdl.Value, or an object with:
+// - type:            a type reference, or
+// - choice:          a list of value declarations (the options of a choice), or
+// - tbd:             the text of a TBD value (or true for a TBD without text)
+// - card:            a cardinality string such as '1..1', '0..1', '0..*', or '2' (meaning 2..2); defaults to '1..1'
+// - constraints:     a list of constraint declarations
+//
+// A constraint declaration is an mdl constraint, or an object with one of the following keys, plus an optional path
+// (a list of type references):
+// - valueSet:        a value set URL, with an optional strength ('required', 'extensible', 'preferred', or 'example')
+// - code:            an mdl.Concept or [system, code, display] array
+// - includesCode:    an mdl.Concept or [system, code, display] array
+// - boolean:         true or false
+// - type:            a type reference, with an optional onValue boolean
+// - includesType:    a type reference, with a card string and an optional onValue boolean
+// - card:            a cardinality string
+//
+// Namespaces are registered automatically for every element that is declared.  Every type referenced by an element
+// must be declared (or already be in the Specifications passed to the builder); build() throws an error listing the
+// references that aren't, unless it is called with { allowUndefined: true }.  Declaring an element that already
+// exists replaces it, as mdl.Specifications does.
+class SpecificationsBuilder {
+  constructor(namespace, specs=new mdl.Specifications()) {
+    this._namespace = namespace;
+    this._specs = specs;
+    // The references from each declared element, as [referencing element FQN, referenced identifier] pairs
+    this._references = [];
+  }
+
+  get specs() { return this._specs; }
+
+  // Sets the namespace that unqualified names refer to in the declarations that follow.  If a description is passed,
+  // the namespace is registered with it.
+  namespace(namespace, description) {
+    this._namespace = namespace;
+    if (typeof description !== 'undefined') {
+      this._specs.namespaces.add(new mdl.Namespace(namespace, description));
+    }
+    return this;
+  }
+
+  element(name, declaration={}) {
+    const identifier = this._identifier(name);
+    if (!(identifier instanceof mdl.Identifier) || identifier.isPrimitive) {
+      throw new Error(`Cannot declare an element named ${name}`);
+    }
+    const de = new mdl.DataElement(identifier, !!declaration.entry, !!declaration.abstract);
+    const refs = [];
+    if (typeof declaration.description !== 'undefined') {
+      de.withDescription(declaration.description);
+    }
+    for (const concept of declaration.concepts || []) {
+      de.withConcept(toConcept(concept));
+    }
+    for (const basedOn of asList(declaration.basedOn)) {
+      de.withBasedOn(this._reference(basedOn, refs));
+    }
+    if (typeof declaration.value !== 'undefined') {
+      de.withValue(this._value(declaration.value, refs));
+    }
+    for (const field of declaration.fields || []) {
+      de.withField(this._value(field, refs));
+    }
+    if (!this._specs.namespaces.find(identifier.namespace)) {
+      this._specs.namespaces.add(new mdl.Namespace(identifier.namespace));
+    }
+    this._specs.dataElements.add(de);
+    this._references = this._references.filter(([from]) => from !== identifier.fqn)
+      .concat(refs.map(ref => [identifier.fqn, ref]));
+    return this;
+  }
+
+  // Returns the referenced identifiers that no declared element defines, each with the FQN of the element that
+  // references it
+  undefinedReferences() {
+    const undefinedRefs = [];
+    const seen = new Set();
+    for (const [from, ref] of this._references) {
+      const key = `${from} ${ref.fqn}`;
+      if (!seen.has(key) && !this._specs.dataElements.findByIdentifier(ref)) {
+        seen.add(key);
+        undefinedRefs.push({ identifier: ref.fqn, referencedBy: from });
+      }
+    }
+    return undefinedRefs;
+  }
+
+  build(options={}) {
+    const undefinedRefs = this.undefinedReferences();
+    if (undefinedRefs.length && !options.allowUndefined) {
+      const list = undefinedRefs.map(r => `  ${r.identifier} (referenced by ${r.referencedBy})`).join('\n');
+      throw new Error(`${undefinedRefs.length} referenced identifier(s) were never defined:\n${list}`);
+    }
+    return this._specs;
+  }
+
+  _identifier(ref) {
+    if (ref instanceof mdl.Identifier || ref instanceof mdl.TBD) {
+      return ref;
+    } else if (typeof ref !== 'string' || ref.length === 0) {
+      throw new Error(`Invalid type reference: ${JSON.stringify(ref)}`);
+    } else if (ref === 'TBD') {
+      return new mdl.TBD();
+    } else if (mdl.PRIMITIVES.includes(ref)) {
+      return new mdl.PrimitiveIdentifier(ref);
+    }
+    const dot = ref.lastIndexOf('.');
+    if (dot === -1) {
+      if (typeof this._namespace === 'undefined') {
+        throw new Error(`Cannot resolve ${ref} without a namespace`);
+      }
+      return new mdl.Identifier(this._namespace, ref);
+    }
+    return new mdl.Identifier(ref.slice(0, dot), ref.slice(dot + 1));
+  }
+
+  // Resolves a type reference, recording it in refs if it refers to an element
+  _reference(ref, refs) {
+    const identifier = this._identifier(ref);
+    if (identifier instanceof mdl.Identifier && !identifier.isPrimitive) {
+      refs.push(identifier);
+    }
+    return identifier;
+  }
+
+  _value(declaration, refs) {
+    if (declaration instanceof mdl.Value) {
+      return declaration;
+    } else if (typeof declaration === 'string' || declaration instanceof mdl.Identifier) {
+      declaration = { type: declaration };
+    }
+    let value;
+    if (typeof declaration.choice !== 'undefined') {
+      value = new mdl.ChoiceValue();
+      for (const option of declaration.choice) {
+        value.withOption(this._value(option, refs));
+      }
+    } else if (typeof declaration.tbd !== 'undefined' || declaration.type === 'TBD') {
+      value = new mdl.TBD(typeof declaration.tbd === 'string' ? declaration.tbd : undefined);
+    } else if (typeof declaration.type !== 'undefined') {
+      value = new mdl.IdentifiableValue(this._reference(declaration.type, refs));
+    } else {
+      throw new Error(`A value declaration needs a type, choice, or tbd: ${JSON.stringify(declaration)}`);
+    }
+    value.withCard(parseCard(declaration.card || '1..1'));
+    for (const constraint of declaration.constraints || []) {
+      value.withConstraint(this._constraint(constraint, refs));
+    }
+    return value;
+  }
+
+  _constraint(declaration, refs) {
+    if (!isPlainObject(declaration)) {
+      // an mdl constraint
+      return declaration;
+    }
+    const path = (declaration.path || []).map(p => this._reference(p, refs));
+    if (typeof declaration.valueSet !== 'undefined') {
+      const constraint = new mdl.ValueSetConstraint(declaration.valueSet, path);
+      if (typeof declaration.strength !== 'undefined') {
+        constraint.withBindingStrength(bindingStrength(declaration.strength));
+      }
+      return constraint;
+    } else if (typeof declaration.code !== 'undefined') {
+      return new mdl.CodeConstraint(toConcept(declaration.code), path);
+    } else if (typeof declaration.includesCode !== 'undefined') {
+      return new mdl.IncludesCodeConstraint(toConcept(declaration.includesCode), path);
+    } else if (typeof declaration.boolean !== 'undefined') {
+      return new mdl.BooleanConstraint(declaration.boolean, path);
+    } else if (typeof declaration.type !== 'undefined') {
+      return new mdl.TypeConstraint(this._reference(declaration.type, refs), path, !!declaration.onValue);
+    } else if (typeof declaration.includesType !== 'undefined') {
+      const isA = this._reference(declaration.includesType, refs);
+      return new mdl.IncludesTypeConstraint(isA, parseCard(declaration.card), path, !!declaration.onValue);
+    } else if (typeof declaration.card !== 'undefined') {
+      return new mdl.CardConstraint(parseCard(declaration.card), path);
+    }
+    throw new Error(`Unknown constraint declaration: ${JSON.stringify(declaration)}`);
+  }
+}
+
+// Parses a cardinality string: 'min..max', 'min..*', or a single number meaning exactly that many
+function parseCard(card) {
+  const match = /^\s*(\d+)\s*(?:\.\.\s*(\d+|\*)\s*)?$/.exec(card);
+  if (!match) {
+    throw new Error(`Invalid cardinality: ${JSON.stringify(card)}`);
+  }
+  const min = parseInt(match[1], 10);
+  if (typeof match[2] === 'undefined') {
+    return new mdl.Cardinality(min, min);
+  }
+  return new mdl.Cardinality(min, match[2] === '*' ? undefined : parseInt(match[2], 10));
+}
+
+function bindingStrength(strength) {
+  const strengths = { required: mdl.REQUIRED, extensible: mdl.EXTENSIBLE, preferred: mdl.PREFERRED, example: mdl.EXAMPLE };
+  const resolved = strengths[String(strength).toLowerCase()];
+  if (!resolved) {
+    throw new Error(`Invalid binding strength: ${strength}`);
+  }
+  return resolved;
+}
+
+function toConcept(concept) {
+  if (Array.isArray(concept)) {
+    return new mdl.Concept(...concept);
+  }
+  return concept;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function asList(value) {
+  if (typeof value === 'undefined') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {SpecificationsBuilder, parseCard};
@@ -0,0 +1,273 @@
+const {AssertionError} = require('chai');
+const mdl = require('shr-models');
+const {formatDiffReport, diffJSON} = require('./diff.js');
+
+// Returns a canonical JSON representation of an mdl.Specifications.  Collections that have no meaningful order
+// (namespaces, data elements, value sets, code systems, content profiles, mappings, concepts, and constraints) are
+// sorted, so two Specifications built in a different order produce the same JSON.  Ordered collections (basedOn,
+// fields, choice options, rules, and paths) keep their order.  Identifiers are represented by their FQNs,
+// cardinalities by their string form (e.g. '0..*'), and TBDs by 'TBD' or 'TBD: <text>'.
+function canonicalize(specs) {
+  return {
+    namespaces: sortBy(specs.namespaces.all.map(namespaceJSON), ns => ns.namespace),
+    dataElements: sortBy(specs.dataElements.all.map(dataElementJSON), de => de.identifier),
+    valueSets: sortBy(specs.valueSets.all.map(valueSetJSON), vs => vs.url),
+    codeSystems: sortBy(specs.codeSystems.all.map(codeSystemJSON), cs => cs.url),
+    contentProfiles: sortBy(specs.contentProfiles.all.map(contentProfileJSON), cp => cp.identifier),
+    maps: sortBy(specs.maps.targets.reduce((all, t) => all.concat(specs.maps.byTarget(t).map(mappingJSON)), []),
+      m => `${m.targetSpec} ${m.identifier}`)
+  };
+}
+
+function namespaceJSON(ns) {
+  return compact({ namespace: ns.namespace, description: ns.description });
+}
+
+// Returns the canonical JSON of a single data element, in the same form canonicalize uses
+function dataElementJSON(de) {
+  return compact({
+    identifier: identifierJSON(de.identifier),
+    isEntry: de.isEntry,
+    isAbstract: de.isAbstract,
+    isGroup: de.isGroup,
+    description: de.description,
+    basedOn: de.basedOn.map(identifierJSON),
+    concepts: sortBy(de.concepts.map(conceptJSON), JSON.stringify),
+    value: valueJSON(de.value),
+    fields: de.fields.map(valueJSON)
+  });
+}
+
+function valueJSON(value) {
+  if (typeof value === 'undefined') {
+    return undefined;
+  }
+  const json = { kind: value.constructor.name };
+  if (value instanceof mdl.IdentifiableValue) {
+    json.identifier = identifierJSON(value.identifier);
+  } else if (value instanceof mdl.ChoiceValue) {
+    json.options = value.options.map(valueJSON);
+  } else if (value instanceof mdl.TBD) {
+    json.text = value.text;
+  }
+  json.card = cardJSON(value.card);
+  json.constraints = sortBy(value.constraints.map(constraintJSON), JSON.stringify);
+  json.inheritance = value.inheritance;
+  return compact(json);
+}
+
+function constraintJSON(constraint) {
+  const json = { kind: constraint.constructor.name, path: constraint.path.map(identifierJSON) };
+  // FixedValueConstraint and SubsetConstraint aren't in older versions of shr-models
+  if (constraint instanceof mdl.ValueSetConstraint) {
+    json.valueSet = constraint.valueSet;
+    json.bindingStrength = constraint.bindingStrength;
+  } else if (constraint instanceof mdl.CodeConstraint || constraint instanceof mdl.IncludesCodeConstraint) {
+    json.code = conceptJSON(constraint.code);
+  } else if (constraint instanceof mdl.BooleanConstraint) {
+    json.value = constraint.value;
+  } else if (mdl.FixedValueConstraint && constraint instanceof mdl.FixedValueConstraint) {
+    json.value = constraint.value;
+    json.type = constraint.type;
+  } else if (constraint instanceof mdl.TypeConstraint) {
+    json.isA = identifierJSON(constraint.isA);
+    json.onValue = constraint.onValue;
+  } else if (mdl.SubsetConstraint && constraint instanceof mdl.SubsetConstraint) {
+    json.subsetList = constraint.subsetList.map(identifierJSON);
+    json.onValue = constraint.onValue;
+  } else if (constraint instanceof mdl.IncludesTypeConstraint) {
+    json.isA = identifierJSON(constraint.isA);
+    json.card = cardJSON(constraint.card);
+    json.onValue = constraint.onValue;
+  } else if (constraint instanceof mdl.CardConstraint) {
+    json.card = cardJSON(constraint.card);
+  }
+  return compact(json);
+}
+
+function valueSetJSON(vs) {
+  return compact({
+    identifier: identifierJSON(vs.identifier),
+    url: vs.url,
+    description: vs.description,
+    concepts: sortBy(vs.concepts.map(conceptJSON), JSON.stringify),
+    rules: vs.rules.map(r => compact({
+      kind: r.constructor.name,
+      code: r.code ? conceptJSON(r.code) : undefined,
+      system: r.system
+    }))
+  });
+}
+
+function codeSystemJSON(cs) {
+  return compact({
+    identifier: identifierJSON(cs.identifier),
+    url: cs.url,
+    description: cs.description,
+    codes: sortBy(cs.codes.map(conceptJSON), JSON.stringify)
+  });
+}
+
+function contentProfileJSON(cp) {
+  return {
+    identifier: identifierJSON(cp.identifier),
+    rules: cp.rules.map(r => compact({
+      path: r.path.map(identifierJSON),
+      mustSupport: r.mustSupport,
+      noProfile: r.noProfile,
+      primaryProfile: r.primaryProfile
+    }))
+  };
+}
+
+function mappingJSON(m) {
+  return compact({
+    identifier: identifierJSON(m.identifier),
+    targetSpec: m.targetSpec,
+    targetItem: m.targetItem,
+    inheritance: m.inheritance,
+    inheritedFrom: identifierJSON(m.inheritedFrom),
+    rules: m.rules.map(r => compact({
+      kind: r.constructor.name,
+      sourcePath: r.sourcePath ? r.sourcePath.map(identifierJSON) : undefined,
+      target: r.target,
+      cardinality: cardJSON(r.cardinality),
+      value: r.value,
+      lastModifiedBy: identifierJSON(r.lastModifiedBy)
+    }))
+  });
+}
+
+function identifierJSON(identifier) {
+  if (typeof identifier === 'undefined') {
+    return undefined;
+  } else if (identifier instanceof mdl.TBD) {
+    return identifier.text ? `TBD: ${identifier.text}` : 'TBD';
+  }
+  return identifier.fqn;
+}
+
+function conceptJSON(concept) {
+  if (concept instanceof mdl.TBD) {
+    return identifierJSON(concept);
+  }
+  return compact({ system: concept.system, code: concept.code, display: concept.display });
+}
+
+function cardJSON(card) {
+  return card ? card.toString() : undefined;
+}
+
+// Removes undefined properties, so that an unset property and a missing property compare equal
+function compact(obj) {
+  for (const key of Object.keys(obj)) {
+    if (typeof obj[key] === 'undefined') {
+      delete obj[key];
+    }
+  }
+  return obj;
+}
+
+function sortBy(array, keyFn) {
+  return array.map(item => ({ item, key: keyFn(item) }))
+    .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+    .map(pair => pair.item);
+}
+
+// Returns the canonical JSON of a Specifications as a readable string
+function formatSpecs(specs) {
+  return JSON.stringify(canonicalize(specs), null, 2);
+}
+
+// The key used to match items between two canonical Specifications, by collection
+const ITEM_KEYS = {
+  namespaces: ns => `namespace ${ns.namespace}`,
+  dataElements: de => de.identifier,
+  valueSets: vs => `value set ${vs.url}`,
+  codeSystems: cs => `code system ${cs.url}`,
+  contentProfiles: cp => `content profile ${cp.identifier}`,
+  maps: m => `${m.targetSpec} mapping ${m.identifier}`
+};
+
+// Compares two Specifications semantically, returning a list of element-level differences.  Each difference names
+// the item (e.g. 'shr.test.Group' or 'namespace shr.test'), its kind ('missing', 'extra', or 'changed'), and for
+// changed items, a report of the differing paths within the item.
+function diffSpecs(expected, actual) {
+  return diffCanonical(canonicalize(expected), canonicalize(actual));
+}
+
+// Compares two canonical Specifications (see canonicalize) the way diffSpecs does, e.g. to compare a Specifications
+// against a snapshot of itself
+function diffCanonical(expJSON, actJSON) {
+  const differences = [];
+  for (const collection of Object.keys(ITEM_KEYS)) {
+    const keyFn = ITEM_KEYS[collection];
+    const actItems = new Map(actJSON[collection].map(item => [keyFn(item), item]));
+    const expKeys = new Set();
+    for (const expItem of expJSON[collection]) {
+      const key = keyFn(expItem);
+      expKeys.add(key);
+      if (!actItems.has(key)) {
+        differences.push({ item: key, kind: 'missing' });
+      } else if (diffJSON(expItem, actItems.get(key)).length) {
+        differences.push({ item: key, kind: 'changed', report: formatDiffReport(expItem, actItems.get(key)) });
+      }
+    }
+    for (const key of actItems.keys()) {
+      if (!expKeys.has(key)) {
+        differences.push({ item: key, kind: 'extra' });
+      }
+    }
+  }
+  return differences;
+}
+
+function formatSpecsDiffReport(differences) {
+  return differences.map(d => `${d.item} (${d.kind})${d.report ? `\n${d.report}` : ''}`).join('\n\n');
+}
+
+// Asserts that two Specifications are semantically equal, failing with an element-level diff if they are not
+function expectSpecsEqual(actual, expected, message='Specifications do not match') {
+  const differences = diffSpecs(expected, actual);
+  if (differences.length) {
+    throw new AssertionError(`${message}: ${differences.length} item(s) differ\n\n${formatSpecsDiffReport(differences)}`);
+  }
+}
+
+// Deep-freezes a Specifications and everything in it, so that modifying it throws a TypeError at the modifying line.
+// The Maps and Sets in it throw on any modification, but assignments to frozen properties only throw in strict mode
+// code (elsewhere they're silently ignored).  Returns specs.
+function freezeSpecs(specs) {
+  deepFreeze(specs, new Set());
+  return specs;
+}
+
+function deepFreeze(obj, seen) {
+  if (typeof obj !== 'object' || obj === null || seen.has(obj) || ArrayBuffer.isView(obj)) {
+    return;
+  }
+  seen.add(obj);
+  if (obj instanceof Map || obj instanceof Set) {
+    for (const method of ['set', 'add', 'delete', 'clear']) {
+      if (typeof obj[method] === 'function') {
+        Object.defineProperty(obj, method, { value: () => {
+          throw new TypeError(`Cannot ${method} on a frozen ${obj.constructor.name}`);
+        }});
+      }
+    }
+    for (const [key, value] of obj.entries()) {
+      deepFreeze(key, seen);
+      deepFreeze(value, seen);
+    }
+  }
+  for (const key of Object.getOwnPropertyNames(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if ('value' in descriptor) {
+      deepFreeze(descriptor.value, seen);
+    }
+  }
+  Object.freeze(obj);
+}
+
+module.exports = {canonicalize, dataElementJSON, formatSpecs, diffSpecs, diffCanonical, formatSpecsDiffReport,
+  expectSpecsEqual, freezeSpecs};
@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mdl = require('shr-models');
+
+// The outcomes a case can have in a coverage report
+const OUTCOMES = ['pass', 'fail', 'skip'];
+
+// The reports written to each directory by this process, so that suites sharing a directory add to its report
+const writtenReports = new Map();
+
+// Returns the sorted list of the model constructs an mdl.Specifications exercises.  Constructs are shr-models class
+// names (e.g. 'ChoiceValue', 'IncludesTypeConstraint', 'FieldMappingRule'), some with variants after a colon:
+// - Namespace:description, DataElement:entry, DataElement:abstract, DataElement:basedOn
+// - IdentifiableValue:primitive, and IdentifiableValue:cross-namespace for a value from another namespace
+// - ChoiceValue:nested for a choice within a choice, and Cardinality:list for a value that can have more than one item
+// - <constraint class>:path and <constraint class>:onValue for constraints with a path or on the value, and the binding
+//   strength of value set constraints (e.g. ValueSetConstraint:preferred)
+// - ContentProfileRule:mustSupport, ContentProfileRule:noProfile, and ElementMapping:inherited
+function specsConstructs(specs) {
+  const constructs = new Set();
+  for (const ns of specs.namespaces.all) {
+    constructs.add('Namespace');
+    if (ns.description) {
+      constructs.add('Namespace:description');
+    }
+  }
+  for (const de of specs.dataElements.all) {
+    constructs.add('DataElement');
+    if (de.isEntry) {
+      constructs.add('DataElement:entry');
+    }
+    if (de.isAbstract) {
+      constructs.add('DataElement:abstract');
+    }
+    if (de.basedOn.length) {
+      constructs.add('DataElement:basedOn');
+    }
+    if (de.concepts.length) {
+      constructs.add('Concept');
+    }
+    for (const value of [de.value, ...de.fields]) {
+      addValueConstructs(value, de.identifier.namespace, false, constructs);
+    }
+  }
+  for (const vs of specs.valueSets.all) {
+    constructs.add('ValueSet');
+    vs.rules.forEach(rule => constructs.add(rule.constructor.name));
+  }
+  if (specs.codeSystems.all.length) {
+    constructs.add('CodeSystem');
+  }
+  for (const cp of specs.contentProfiles.all) {
+    constructs.add('ContentProfile');
+    for (const rule of cp.rules) {
+      constructs.add('ContentProfileRule');
+      if (rule.mustSupport) {
+        constructs.add('ContentProfileRule:mustSupport');
+      }
+      if (rule.noProfile) {
+        constructs.add('ContentProfileRule:noProfile');
+      }
+    }
+  }
+  for (const target of specs.maps.targets) {
+    for (const mapping of specs.maps.byTarget(target)) {
+      constructs.add('ElementMapping');
+      if (mapping.inheritance === mdl.INHERITED) {
+        constructs.add('ElementMapping:inherited');
+      }
+      mapping.rules.forEach(rule => constructs.add(rule.constructor.name));
+    }
+  }
+  return Array.from(constructs).sort();
+}
+
+function addValueConstructs(value, namespace, inChoice, constructs) {
+  if (typeof value === 'undefined') {
+    return;
+  }
+  constructs.add(value.constructor.name);
+  if (value.card && (typeof value.card.max === 'undefined' || value.card.max > 1)) {
+    constructs.add('Cardinality:list');
+  }
+  if (value instanceof mdl.ChoiceValue) {
+    if (inChoice) {
+      constructs.add('ChoiceValue:nested');
+    }
+    value.options.forEach(option => addValueConstructs(option, namespace, true, constructs));
+  } else if (value instanceof mdl.IdentifiableValue) {
+    if (value.identifier.isPrimitive) {
+      constructs.add(`${value.constructor.name}:primitive`);
+    } else if (value.identifier.namespace !== namespace) {
+      constructs.add(`${value.constructor.name}:cross-namespace`);
+    }
+  }
+  for (const constraint of value.constraints) {
+    const kind = constraint.constructor.name;
+    constructs.add(kind);
+    if (constraint.path.length) {
+      constructs.add(`${kind}:path`);
+    }
+    if (constraint.onValue) {
+      constructs.add(`${kind}:onValue`);
+    }
+    if (constraint instanceof mdl.ValueSetConstraint && constraint.bindingStrength) {
+      constructs.add(`${kind}:${constraint.bindingStrength.toLowerCase()}`);
+    }
+  }
+}
+
+// Builds a coverage report from a list of case outcomes, each with a name, an outcome ('pass', 'fail', or 'skip'), and
+// the constructs the case exercises.  The report maps each construct to the names of its cases with each outcome, and
+// each case to its outcome and constructs.
+function coverageReport(outcomes) {
+  const constructs = {};
+  const cases = {};
+  for (const {name, outcome, constructs: caseConstructs} of outcomes) {
+    cases[name] = { outcome, constructs: caseConstructs };
+    for (const construct of caseConstructs) {
+      if (!constructs[construct]) {
+        constructs[construct] = { pass: [], fail: [], skip: [] };
+      }
+      constructs[construct][outcome].push(name);
+    }
+  }
+  const sorted = {};
+  Object.keys(constructs).sort().forEach(c => sorted[c] = constructs[c]);
+  return { constructs: sorted, cases };
+}
+
+// Formats a coverage report as a markdown table of constructs by outcome counts, followed by the constructs that have
+// no passing case
+function formatCoverageMarkdown(report) {
+  const lines = ['# Construct Coverage', '', '| Construct | Pass | Fail | Skip |', '| --- | ---: | ---: | ---: |'];
+  const uncovered = [];
+  for (const construct of Object.keys(report.constructs)) {
+    const counts = report.constructs[construct];
+    lines.push(`| ${construct} | ${OUTCOMES.map(o => counts[o].length).join(' | ')} |`);
+    if (counts.pass.length === 0) {
+      const where = [];
+      if (counts.fail.length) {
+        where.push(`failed in ${counts.fail.join(', ')}`);
+      }
+      if (counts.skip.length) {
+        where.push(`skipped in ${counts.skip.join(', ')}`);
+      }
+      uncovered.push(`* ${construct}: ${where.join('; ')}`);
+    }
+  }
+  if (uncovered.length) {
+    lines.push('', '## Constructs Without a Passing Case', '', ...uncovered);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Writes a coverage report to <dir>/coverage.json and <dir>/coverage.md.  If a report was already written to dir by
+// this process (e.g. by another suite sharing the results path), the two are merged; a case in both is reported as
+// failed if it failed in either, and otherwise as passed if it passed in either.
+function writeCoverage(dir, report) {
+  const key = path.resolve(dir);
+  if (writtenReports.has(key)) {
+    report = mergeCoverageReports(writtenReports.get(key), report);
+  }
+  writtenReports.set(key, report);
+  fs.mkdirpSync(dir);
+  fs.writeFileSync(path.join(dir, 'coverage.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(dir, 'coverage.md'), formatCoverageMarkdown(report));
+}
+
+function mergeCoverageReports(report, other) {
+  const cases = Object.assign({}, report.cases);
+  for (const name of Object.keys(other.cases)) {
+    const outcomes = [other.cases[name].outcome].concat(cases[name] ? [cases[name].outcome] : []);
+    const outcome = ['fail', 'pass', 'skip'].find(o => outcomes.includes(o));
+    cases[name] = { outcome, constructs: other.cases[name].constructs };
+  }
+  return coverageReport(Object.keys(cases).map(name => Object.assign({ name }, cases[name])));
+}
+
+module.exports = {specsConstructs, coverageReport, formatCoverageMarkdown, writeCoverage};
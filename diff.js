@@ -0,0 +1,332 @@
+const util = require('util');
+
+// Values longer than this are truncated in reports so one huge subtree doesn't bury the other differences
+const MAX_VALUE_LENGTH = 500;
+
+// Returns a list of differences between two JSON-compatible values.  Each difference has a JSON path (e.g.
+// $.snapshot.element[3].min), a kind ('changed', 'missing', or 'extra'), and the expected and actual values.
+function diffJSON(expected, actual, basePath='$') {
+  const differences = [];
+  collectDifferences(expected, actual, basePath, differences);
+  return differences;
+}
+
+function collectDifferences(expected, actual, currentPath, differences) {
+  if (expected === actual) {
+    return;
+  }
+  const expType = typeOf(expected);
+  const actType = typeOf(actual);
+  if (expType !== actType || (expType !== 'object' && expType !== 'array')) {
+    if (expType !== actType || !Object.is(expected, actual)) {
+      differences.push({ path: currentPath, kind: 'changed', expected, actual });
+    }
+    return;
+  }
+  if (expType === 'array') {
+    const length = Math.max(expected.length, actual.length);
+    for (let i=0; i < length; i++) {
+      const itemPath = `${currentPath}[${i}]`;
+      if (i >= actual.length) {
+        differences.push({ path: itemPath, kind: 'missing', expected: expected[i] });
+      } else if (i >= expected.length) {
+        differences.push({ path: itemPath, kind: 'extra', actual: actual[i] });
+      } else {
+        collectDifferences(expected[i], actual[i], itemPath, differences);
+      }
+    }
+    return;
+  }
+  const keys = Object.keys(expected);
+  for (const key of Object.keys(actual)) {
+    if (!hasKey(expected, key)) {
+      keys.push(key);
+    }
+  }
+  for (const key of keys) {
+    const keyPath = `${currentPath}${formatKey(key)}`;
+    if (!hasKey(actual, key)) {
+      differences.push({ path: keyPath, kind: 'missing', expected: expected[key] });
+    } else if (!hasKey(expected, key)) {
+      differences.push({ path: keyPath, kind: 'extra', actual: actual[key] });
+    } else {
+      collectDifferences(expected[key], actual[key], keyPath, differences);
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function hasKey(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+// Returns a line-based unified diff of two strings, or an empty string if they are the same
+function diffLines(expected, actual, context=3) {
+  if (expected === actual) {
+    return '';
+  }
+  const expLines = expected.split('\n');
+  const actLines = actual.split('\n');
+  const ops = diffSequences(expLines, actLines);
+
+  const output = ['--- expected', '+++ actual'];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].op === ' ') {
+      i++;
+      continue;
+    }
+    // Grow the hunk to include changes separated by no more than 2*context unchanged lines
+    const start = Math.max(0, i - context);
+    let end = i;
+    while (end < ops.length) {
+      if (ops[end].op !== ' ') {
+        end++;
+        continue;
+      }
+      let next = end;
+      while (next < ops.length && ops[next].op === ' ') {
+        next++;
+      }
+      if (next === ops.length || next - end > 2 * context) {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+      end = next;
+    }
+    const hunk = ops.slice(start, end);
+    const expStart = hunk[0].expIndex + 1;
+    const actStart = hunk[0].actIndex + 1;
+    const expCount = hunk.filter(o => o.op !== '+').length;
+    const actCount = hunk.filter(o => o.op !== '-').length;
+    output.push(`@@ -${expStart},${expCount} +${actStart},${actCount} @@`);
+    for (const o of hunk) {
+      output.push(`${o.op}${o.line}`);
+    }
+    i = end;
+  }
+  return output.join('\n');
+}
+
+// Myers' O(ND) diff, using the linear space refinement (recursing on the middle snake) so that large, very different
+// inputs don't need a copy of the search state for every edit.  Returns a list of operations (' ', '-', or '+'), each
+// with its line and the index into the expected and actual lines at which it occurs.
+function diffSequences(a, b) {
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+  return ops;
+}
+
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+  // Common lines at the start and end are always unchanged
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    ops.push({ op: ' ', line: a[aStart], expIndex: aStart, actIndex: bStart });
+    aStart++;
+    bStart++;
+  }
+  let suffix = 0;
+  while (aStart < aEnd - suffix && bStart < bEnd - suffix && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+    suffix++;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart === aEnd) {
+    for (let y = bStart; y < bEnd; y++) {
+      ops.push({ op: '+', line: b[y], expIndex: aStart, actIndex: y });
+    }
+  } else if (bStart === bEnd) {
+    for (let x = aStart; x < aEnd; x++) {
+      ops.push({ op: '-', line: a[x], expIndex: x, actIndex: bStart });
+    }
+  } else {
+    // With the common start and end removed, both ranges are non-empty and differ in at least two edits, so the
+    // middle snake splits them into two strictly smaller problems
+    const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    diffRange(a, aStart, snake.x, b, bStart, snake.y, ops);
+    for (let x = snake.x, y = snake.y; x < snake.u; x++, y++) {
+      ops.push({ op: ' ', line: a[x], expIndex: x, actIndex: y });
+    }
+    diffRange(a, snake.u, aEnd, b, snake.v, bEnd, ops);
+  }
+
+  for (let i = 0; i < suffix; i++) {
+    ops.push({ op: ' ', line: a[aEnd + i], expIndex: aEnd + i, actIndex: bEnd + i });
+  }
+}
+
+// Searches forwards from the start and backwards from the end of the ranges at the same time until the paths overlap,
+// and returns the snake (run of unchanged lines) in the middle of an optimal edit script, from (x, y) to (u, v)
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // The furthest x reached on each diagonal k (x - y), searching forwards, and searching backwards from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])) ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // The backward diagonal delta - k was searched to depth d - 1
+      if (odd && delta - k >= -(d - 1) && delta - k <= d - 1 && x + backward[offset + delta - k] >= n) {
+        return { x: aStart + startX, y: bStart + startY, u: aStart + x, v: bStart + y };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])) ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      // The forward diagonal delta - k was searched to depth d
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: aEnd - x, y: bEnd - y, u: aEnd - startX, v: bEnd - startY };
+      }
+    }
+  }
+  throw new Error('The forward and backward diff searches did not meet');
+}
+
+// Returns a human-readable report of the differences between an expected and an actual export result.  String
+// results get a unified diff; everything else gets a list of differing JSON paths.
+function formatDiffReport(expected, actual) {
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return diffLines(expected, actual);
+  }
+  const differences = diffJSON(expected, actual);
+  const lines = [`${differences.length} difference(s)`];
+  for (const d of differences) {
+    lines.push('', `${d.path} (${d.kind})`);
+    if (d.kind !== 'extra') {
+      lines.push(`  expected: ${formatValue(d.expected)}`);
+    }
+    if (d.kind !== 'missing') {
+      lines.push(`  actual:   ${formatValue(d.actual)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Formats a value as JSON, falling back to util.inspect for values JSON can't represent (e.g. functions, undefined, or
+// circular objects)
+function formatValue(value) {
+  let str;
+  try {
+    str = JSON.stringify(value);
+  } catch (ex) {
+    // JSON.stringify throws on circular values
+  }
+  if (typeof str === 'undefined') {
+    str = util.inspect(value, { depth: 2, breakLength: Infinity });
+  }
+  return str.length > MAX_VALUE_LENGTH ? `${str.slice(0, MAX_VALUE_LENGTH)}... (truncated)` : str;
+}
+
+// Compares two maps of relative file path to file content.  Contents may be strings, Buffers, or JSON-compatible
+// objects; a Buffer (e.g. read from an expected directory) is decoded to match the type on the other side.  If a
+// normalize function is passed, it is applied to text contents before they are compared.  Returns the paths that
+// are missing, the paths that are extra, and a report for each changed file.
+function diffFileTrees(expected, actual, normalize) {
+  const missing = Object.keys(expected).filter(p => !hasKey(actual, p)).sort();
+  const extra = Object.keys(actual).filter(p => !hasKey(expected, p)).sort();
+  const changed = [];
+  for (const p of Object.keys(expected).filter(p => hasKey(actual, p)).sort()) {
+    let exp = decodeFile(expected[p], actual[p]);
+    let act = decodeFile(actual[p], expected[p]);
+    if (normalize && typeof exp === 'string' && typeof act === 'string') {
+      [exp, act] = [normalize(exp), normalize(act)];
+    }
+    if (Buffer.isBuffer(exp) && Buffer.isBuffer(act)) {
+      if (!exp.equals(act)) {
+        changed.push({ path: p, report: 'Binary contents differ' });
+      }
+    } else if (typeof exp === 'string' && typeof act === 'string' ? exp !== act : diffJSON(exp, act).length > 0) {
+      changed.push({ path: p, report: formatDiffReport(exp, act) });
+    }
+  }
+  return { missing, extra, changed };
+}
+
+function decodeFile(content, other) {
+  if (!Buffer.isBuffer(content) || Buffer.isBuffer(other)) {
+    return content;
+  }
+  const text = content.toString('utf8');
+  if (typeof other === 'string') {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+function formatFileTreeReport(treeDiff) {
+  const lines = [];
+  if (treeDiff.missing.length) {
+    lines.push('Missing files (expected, but not exported):', ...treeDiff.missing.map(p => `  ${p}`), '');
+  }
+  if (treeDiff.extra.length) {
+    lines.push('Extra files (exported, but not expected):', ...treeDiff.extra.map(p => `  ${p}`), '');
+  }
+  if (treeDiff.changed.length) {
+    lines.push('Changed files:', ...treeDiff.changed.map(c => `  ${c.path}`), '');
+    for (const c of treeDiff.changed) {
+      lines.push(`=== ${c.path}`, c.report, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+// Normalizes text so that insignificant formatting differences don't fail a comparison.  Options is either true
+// (apply all normalizations) or an object with any of:
+// - lineEndings:        convert \r\n and \r to \n
+// - trailingWhitespace: remove spaces and tabs at the end of each line
+// - blankLines:         collapse runs of blank lines into a single blank line, and drop blank lines (including the
+//                       final line ending) at the start and end of the text
+function normalizeText(text, options=true) {
+  const all = options === true;
+  if (all || options.lineEndings) {
+    text = text.replace(/\r\n?/g, '\n');
+  }
+  if (all || options.trailingWhitespace) {
+    text = text.replace(/[ \t]+$/gm, '');
+  }
+  if (all || options.blankLines) {
+    text = text.replace(/\n([ \t]*\n){2,}/g, '\n\n').replace(/^([ \t]*\n)+/, '').replace(/(\n[ \t]*)+$/, '');
+  }
+  return text;
+}
+
+module.exports = {diffJSON, diffLines, formatDiffReport, diffFileTrees, formatFileTreeReport, normalizeText};
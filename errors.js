@@ -1,25 +1,302 @@
 const bunyan = require('bunyan');
+const {AssertionError, util} = require('chai');
 
-var rb = new bunyan.RingBuffer({ limit: 100 });
+// The default maximum number of records a capture holds before it overflows
+const DEFAULT_LIMIT = 100;
 
-function logger(level='error') {
-  return bunyan.createLogger({
-    name: 'test',
-    streams: [{ level: level, type: 'raw', stream: rb }]
-  });
+// The default minimum level of the records a capture's loggers write
+const DEFAULT_LEVEL = 'error';
+
+// A capture scope for log records.  Loggers created by a capture write only to that capture, so separate suites
+// (or separate tests) can capture their records independently.  Instead of silently dropping records past its limit,
+// a capture keeps the first records and counts the rest, so checkOverflow() can fail loudly.  When the capture level
+// is lowered below error (or separateWarnings is set), records at level error and above are errors and records below
+// it (e.g. warn and info) are warnings.  Otherwise every captured record is an error, as it was before warnings were
+// separated, so records from a logger created with a lower level (e.g. logger('warn')) are still errors.
+class Capture {
+  constructor(limit=DEFAULT_LIMIT, level=DEFAULT_LEVEL, separateWarnings=false) {
+    this._limit = limit;
+    this._level = level;
+    this._separateWarnings = separateWarnings;
+    this._records = [];
+    this._dropped = 0;
+    this._disposed = false;
+    // Loggers created with the capture's level write everything to a stream that filters by the capture's current
+    // level, so setLevel() applies to them (and their children) without the capture holding on to them.  Loggers
+    // created with their own level write to a stream that keeps whatever they log.
+    this._stream = { write: (record) => this._write(record, true) };
+    this._fixedStream = { write: (record) => this._write(record, false) };
+  }
+
+  get limit() { return this._limit; }
+  get level() { return this._level; }
+  get disposed() { return this._disposed; }
+
+  // Whether records below level error are warnings rather than errors
+  get separatesWarnings() {
+    return this._separateWarnings || bunyan.resolveLevel(this._level) < bunyan.ERROR;
+  }
+
+  // The number of records dropped because the limit was exceeded
+  get dropped() { return this._dropped; }
+  get overflowed() { return this._dropped > 0; }
+
+  // Returns a logger that writes to this capture.  Without a level, it captures records at the capture's level, even
+  // if the capture's level changes later.
+  logger(level) {
+    this._checkNotDisposed();
+    const stream = typeof level === 'undefined' ? { level: bunyan.TRACE, type: 'raw', stream: this._stream }
+      : { level: level, type: 'raw', stream: this._fixedStream };
+    return bunyan.createLogger({ name: 'test', streams: [stream] });
+  }
+
+  // Sets the minimum level of the records captured, including by the loggers this capture already created without a
+  // level of their own
+  setLevel(level) {
+    this._checkNotDisposed();
+    this._level = level;
+  }
+
+  // Sets whether records below level error are warnings even when the capture level isn't lowered
+  setSeparateWarnings(separate) {
+    this._checkNotDisposed();
+    this._separateWarnings = separate;
+  }
+
+  // All captured records, errors and warnings alike
+  records() {
+    this._checkNotDisposed();
+    // Return a clone of the array so that clear() doesn't clear the result
+    return [...this._records];
+  }
+
+  errors() {
+    const records = this.records();
+    return this.separatesWarnings ? records.filter(r => r.level >= bunyan.ERROR) : records;
+  }
+
+  warnings() {
+    return this.separatesWarnings ? this.records().filter(r => r.level < bunyan.ERROR) : [];
+  }
+
+  hasErrors() {
+    return this.errors().length > 0;
+  }
+
+  hasWarnings() {
+    return this.warnings().length > 0;
+  }
+
+  clear() {
+    this._checkNotDisposed();
+    this._records.length = 0;
+    this._dropped = 0;
+  }
+
+  checkOverflow() {
+    if (this.overflowed) {
+      throw new Error(`${this._dropped} log record(s) were dropped because more than ${this._limit} were logged.  Increase the capture limit.`);
+    }
+  }
+
+  // Releases the captured records.  Loggers created by a disposed capture no longer record anything.
+  dispose() {
+    this._records = [];
+    this._disposed = true;
+  }
+
+  _write(record, filtered) {
+    if (this._disposed || (filtered && record.level < bunyan.resolveLevel(this._level))) {
+      return;
+    } else if (this._records.length >= this._limit) {
+      this._dropped++;
+    } else {
+      this._records.push(record);
+    }
+  }
+
+  _checkNotDisposed() {
+    if (this._disposed) {
+      throw new Error('The log capture has been disposed');
+    }
+  }
+}
+
+function createCapture(options={}) {
+  return new Capture(options.limit, options.level, options.separateWarnings);
+}
+
+// The default capture scope, used by the module-level functions below
+const defaultCapture = createCapture();
+
+function logger(level) {
+  return defaultCapture.logger(level);
+}
+
+function setLevel(level) {
+  defaultCapture.setLevel(level);
+}
+
+function records() {
+  return defaultCapture.records();
 }
 
 function errors() {
-  // Return a clone of the array so that clear() doesn't clear the result
-  return [...rb.records];
+  return defaultCapture.errors();
+}
+
+function warnings() {
+  return defaultCapture.warnings();
 }
 
 function hasErrors() {
-  return rb.records.length > 0;
+  return defaultCapture.hasErrors();
+}
+
+function hasWarnings() {
+  return defaultCapture.hasWarnings();
 }
 
 function clear() {
-  rb.records.length = 0;
+  defaultCapture.clear();
+}
+
+function checkOverflow() {
+  defaultCapture.checkOverflow();
+}
+
+// Checks the actual log records (defaulting to the captured ones) against the expected ones.  Each expected record is
+// a subset of its actual record, so only the keys in the expected record are checked.  An expected value can be:
+// - a RegExp, which must match the actual value (or its JSON, if it isn't a string)
+// - a function, which is called with the actual value and record, and must return a truthy value
+// - anything else, which must deeply equal the actual value
+// An expected level can be a bunyan level name (e.g. 'warn') or number.  By default, expected and actual records are
+// matched by position.  If options.unordered is set, each expected record is paired with a distinct actual record in
+// any order.  Either way, every actual record must be matched.  options.kind names the records in the failure message
+// (e.g. 'warning'); it defaults to 'record'.
+function checkErrors(expected, actual=errors(), options={}) {
+  let unmatchedExpected, unmatchedActual;
+  if (options.unordered) {
+    ({unmatchedExpected, unmatchedActual} = matchUnordered(expected, actual));
+  } else {
+    unmatchedExpected = [];
+    unmatchedActual = [];
+    for (let i=0; i < Math.max(expected.length, actual.length); i++) {
+      if (i >= actual.length) {
+        unmatchedExpected.push(i);
+      } else if (i >= expected.length) {
+        unmatchedActual.push(i);
+      } else if (mismatchedKey(expected[i], actual[i])) {
+        unmatchedExpected.push(i);
+        unmatchedActual.push(i);
+      }
+    }
+  }
+  if (unmatchedExpected.length || unmatchedActual.length) {
+    const kind = options.kind || 'record';
+    const lines = [`Logged ${kind}s did not match the ${expected.length} expected ${kind}(s)`];
+    if (unmatchedExpected.length) {
+      lines.push('Unmatched expectations:');
+      for (const i of unmatchedExpected) {
+        const key = options.unordered || i >= actual.length ? undefined : mismatchedKey(expected[i], actual[i]);
+        lines.push(`  [${i}] ${formatExpected(expected[i])}${key ? ` (mismatched ${key})` : ''}`);
+      }
+    }
+    if (unmatchedActual.length) {
+      lines.push(`Unmatched logged ${kind}s:`);
+      for (const i of unmatchedActual) {
+        lines.push(`  [${i}] ${formatActual(actual[i])}`);
+      }
+    }
+    throw new AssertionError(lines.join('\n'));
+  }
+}
+
+// Returns the first key in the expected record that the actual record doesn't match, or undefined if all match
+function mismatchedKey(expRecord, actRecord) {
+  return Object.keys(expRecord).find(key => {
+    let expValue = expRecord[key];
+    if (key === 'level' && typeof expValue === 'string') {
+      expValue = bunyan.resolveLevel(expValue);
+    }
+    return !matchesValue(expValue, actRecord[key], actRecord);
+  });
+}
+
+function matchesValue(expValue, actValue, actRecord) {
+  if (expValue instanceof RegExp) {
+    if (typeof actValue === 'undefined') {
+      return false;
+    }
+    expValue.lastIndex = 0;
+    return expValue.test(typeof actValue === 'string' ? actValue : JSON.stringify(actValue));
+  } else if (typeof expValue === 'function') {
+    return !!expValue(actValue, actRecord);
+  }
+  return util.eql(actValue, expValue);
+}
+
+// Pairs each expected record with a distinct matching actual record, using augmenting paths so that an earlier
+// expectation matching loosely doesn't take the only record a later expectation could match
+function matchUnordered(expected, actual) {
+  const candidates = expected.map(e => actual.map((a, j) => j).filter(j => !mismatchedKey(e, actual[j])));
+  const owner = new Array(actual.length).fill(-1);
+  const assign = (i, seen) => {
+    for (const j of candidates[i]) {
+      if (!seen.has(j)) {
+        seen.add(j);
+        if (owner[j] === -1 || assign(owner[j], seen)) {
+          owner[j] = i;
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+  const unmatchedExpected = expected.map((e, i) => i).filter(i => !assign(i, new Set()));
+  const unmatchedActual = actual.map((a, j) => j).filter(j => owner[j] === -1);
+  return {unmatchedExpected, unmatchedActual};
+}
+
+function formatExpected(record) {
+  return JSON.stringify(record, (key, value) => {
+    if (value instanceof RegExp) {
+      return value.toString();
+    } else if (typeof value === 'function') {
+      return `<predicate ${value.name || 'function'}>`;
+    }
+    return value;
+  });
+}
+
+function formatActual(record) {
+  return JSON.stringify(normalizeRecord(record, '*'));
+}
+
+// The fields kept in a normalized record by default
+const STABLE_FIELDS = ['level', 'msg', 'errorCode', 'shrId', 'targetSpec', 'targetItem', 'targetPath', 'mappingRule'];
+
+// Bunyan's own fields, which change from run to run (or machine to machine)
+const VOLATILE_FIELDS = ['name', 'hostname', 'pid', 'time', 'v'];
+
+// Returns a stable view of log records, suitable for writing to files and for use as expected errors as-is.  Only
+// the allowlisted fields are kept, in allowlist order.  Pass '*' as the fields to keep every field except bunyan's
+// volatile ones.
+function normalizeRecords(records, fields=STABLE_FIELDS) {
+  return records.map(r => normalizeRecord(r, fields));
+}
+
+function normalizeRecord(record, fields=STABLE_FIELDS) {
+  const keys = fields === '*' ? Object.keys(record).filter(k => !VOLATILE_FIELDS.includes(k)) : fields;
+  const normalized = {};
+  for (const key of keys) {
+    if (typeof record[key] !== 'undefined') {
+      normalized[key] = record[key];
+    }
+  }
+  return normalized;
 }
 
-module.exports = {logger, errors, hasErrors, clear};
\ No newline at end of file
+module.exports = {logger, setLevel, records, errors, warnings, hasErrors, hasWarnings, clear, checkOverflow, checkErrors,
+  normalizeRecords, normalizeRecord, createCapture, defaultCapture, DEFAULT_LIMIT, DEFAULT_LEVEL, STABLE_FIELDS,
+  VOLATILE_FIELDS};
\ No newline at end of file
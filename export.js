@@ -1,10 +1,96 @@
-const {expect} = require('chai');
+const {expect, AssertionError} = require('chai');
 const fs = require('fs-extra');
 const path = require('path');
 const err = require('./errors.js');
+const {formatDiffReport, diffFileTrees, formatFileTreeReport, normalizeText} = require('./diff.js');
 const mdl = require('shr-models');
+const {FIXTURES, INVALID_FIXTURES} = require('./fixtures.js');
+const {defineCases, runAsync, isUpdateEnvSet, useLogLevel, useSeparateWarnings} = require('./suite.js');
+const {shuffleSpecs} = require('./fuzz.js');
+const {canonicalize, diffCanonical, formatSpecsDiffReport, freezeSpecs} = require('./canonical.js');
+const {coverageReport, writeCoverage} = require('./coverage.js');
+
+// Set this environment variable (e.g. SHR_UPDATE_EXPECTED=1) to run commonExportTests in "update expected" mode
+const UPDATE_ENV_VAR = 'SHR_UPDATE_EXPECTED';
+// Set this environment variable (e.g. SHR_SHUFFLE_SEED=42) to set the seed of the first shuffled run of each case
+const SHUFFLE_SEED_ENV_VAR = 'SHR_SHUFFLE_SEED';
+// The number of shuffled runs of each case when the shuffle option is true
+const DEFAULT_SHUFFLE_RUNS = 3;
+
+// commonExportTests can be called with positional arguments:
+//   commonExportTests(exportFn, expectedFn, expectedErrorsFn, fixFn, resultsPath, clean, options)
+// or with a single options object containing any of those arguments by name, plus:
+// - expectedPath:   the directory holding expected files in the standard layout
+// - updateExpected: overwrite the expected files instead of comparing against them
+// - include:        case names and/or tags to run; all other cases are pending
+// - optIn:          names and/or tags of opt-in cases (e.g. 'mapping') to run along with the default ones.  Opt-in
+//                   cases that neither include nor optIn names aren't defined.
+// - exclude:        case names and/or tags to mark pending.  Either an array, or an object mapping each name or tag
+//                   to the reason it is excluded.
+// - timeout:        the mocha timeout (ms) for each case, or an object mapping case names to timeouts
+// - multiFile:      exportFn returns a map (object or Map) of relative file path to content, which is compared
+//                   against the expected directory tree <expectedPath>/<name>/ (or the map or directory path returned
+//                   by expectedFn) and written to resultsPath as real files
+// - perNamespace:   exportFn returns a map (object or Map) of namespace to that namespace's result (an object or
+//                   string), and each namespace is compared separately against <expectedPath>/<name>/<namespace>.json
+//                   (or .<textExtension>), or against the map or directory path returned by expectedFn
+// - textExtension:  the file extension for string results (e.g. 'cimpl', 'md', 'ts'); defaults to 'txt'.  With 'json',
+//                   expected <name>.json files are read as text, and parsed when exportFn returns an object.
+// - normalize:      normalize text before comparing it: true for all normalizations, or an object selecting any of
+//                   lineEndings, trailingWhitespace, and blankLines
+// - unorderedErrors: match expected errors to logged errors in any order (see errors.checkErrors)
+// - capture:        the errors.createCapture() scope the exporter logs to; defaults to the errors module's default scope
+// - errorFields:    the fields of each log record written to <name>_errors.json and <name>_warnings.json (see
+//                   errors.normalizeRecords)
+// - logLevel:       the minimum level of the records captured while the suite runs (e.g. 'warn'); defaults to the
+//                   capture's level ('error' unless changed)
+// - expectedWarningsFn: returns the records below level error (e.g. warnings) expected for the named case.  If it
+//                   isn't set, warnings are only checked when logLevel and expectedPath are both set, in which case
+//                   they're read from <name>_warnings.json.
+// - shuffle:        after a case passes, export it again with its namespaces and data elements added in shuffled
+//                   orders, and fail if the result differs from the unshuffled result.  Either true (for 3 runs), the
+//                   number of runs, or an object with runs and seed.  The seed of each run is reported when it fails;
+//                   the SHR_SHUFFLE_SEED environment variable overrides the seed.  Errors logged by the shuffled runs
+//                   aren't checked.
+// - checkMutation:  fail if exportFn modifies the Specifications it is passed, listing the changed items and fields
+// - freezeSpecs:    deep-freeze the Specifications before passing it to exportFn, so that a modification throws at the
+//                   modifying line (see canonical.freezeSpecs)
+// - coverage:       after the run, write a report of the model constructs the cases exercise (see
+//                   coverage.specsConstructs) by outcome (pass, fail, or skip) to coverage.json and coverage.md.  Either
+//                   true to write them to resultsPath, or the directory to write them to.
+// exportFn may return the result directly or return a Promise (or any thenable) for it.
+function commonExportTests(exportFn, expectedFn, expectedErrorsFn, fixFn, resultsPath, clean=true, options={}) {
+  if (typeof exportFn === 'object' && exportFn !== null) {
+    options = exportFn;
+    ({exportFn, expectedFn, expectedErrorsFn, fixFn, resultsPath, clean=true} = options);
+  }
+  const capture = options.capture || err.defaultCapture;
+  const expectedPath = options.expectedPath;
+  const perNamespace = !!options.perNamespace;
+  const multiFile = !!options.multiFile || perNamespace;
+  const layout = { multiFile, perNamespace, textExtension: (options.textExtension || 'txt').replace(/^\./, '') };
+  const normalize = options.normalize ? (text) => normalizeText(text, options.normalize) : undefined;
+  const updateExpected = options.updateExpected || isUpdateEnvSet(UPDATE_ENV_VAR);
+  if (updateExpected && !expectedPath) {
+    throw new Error(`Updating expected files (options.updateExpected or ${UPDATE_ENV_VAR}) requires options.expectedPath`);
+  }
+  const shuffleSeeds = getShuffleSeeds(options.shuffle);
+  const coveragePath = options.coverage === true ? resultsPath : options.coverage;
+  if (options.coverage === true && !resultsPath) {
+    throw new Error('Writing the coverage report to resultsPath (options.coverage: true) requires resultsPath');
+  }
 
-function commonExportTests(exportFn, expectedFn, expectedErrorsFn, fixFn, resultsPath, clean=true) {
+  if (typeof expectedFn === 'undefined' && expectedPath) {
+    // default to the standard expected files layout
+    expectedFn = (name) => readExpectedResult(expectedPath, name, layout);
+    if (typeof expectedErrorsFn === 'undefined') {
+      expectedErrorsFn = (name) => readExpectedRecords(expectedPath, name, 'errors');
+    }
+  }
+  let expectedWarningsFn = options.expectedWarningsFn;
+  if (typeof expectedWarningsFn === 'undefined' && expectedPath && typeof options.logLevel !== 'undefined') {
+    expectedWarningsFn = (name) => readExpectedRecords(expectedPath, name, 'warnings');
+  }
   if (typeof expectedErrorsFn === 'undefined') {
     // default to expecting no errors
     expectedErrorsFn = function() { return []; };
@@ -18,11 +104,16 @@ function commonExportTests(exportFn, expectedFn, expectedErrorsFn, fixFn, result
   }
 
   const wrappedExpectedFns = function(name, testCase) {
+    if (updateExpected) {
+      // expected values are about to be overwritten, so don't require them to exist
+      return { name };
+    }
     try {
       return {
         name,
         result: expectedFn(name),
-        errors: expectedErrorsFn(name)
+        errors: expectedErrorsFn(name),
+        warnings: expectedWarningsFn ? expectedWarningsFn(name) : undefined
       };
     } catch (e) {
       if (e instanceof Error && e.name === 'AssertionError') {
@@ -35,785 +126,436 @@ function commonExportTests(exportFn, expectedFn, expectedErrorsFn, fixFn, result
   };
 
   return () => {
-    let _specs;
-    let checkExpected = function(expected) {
-      let result;
+    const updated = [];
+    // Exports the case's specs, checking that the exporter doesn't modify them if options.checkMutation is set
+    let exportSpecs = function(name, specs) {
+      const snapshot = options.checkMutation ? canonicalize(specs) : undefined;
+      if (options.freezeSpecs) {
+        freezeSpecs(specs);
+      }
+      return runAsync(exportFn, specs).then((result) => {
+        if (snapshot) {
+          const differences = diffCanonical(snapshot, canonicalize(specs));
+          if (differences.length) {
+            throw new AssertionError(`Exporter modified the specifications for ${name}: ${differences.length} item(s) changed\n\n${formatSpecsDiffReport(differences)}`);
+          }
+        }
+        return result;
+      });
+    };
+
+    let updateExpectedFiles = function(expected, specs, testCase) {
+      return exportSpecs(expected.name, specs).then((result) => {
+        capture.checkOverflow();
+        if (resultsPath) {
+          writeResults(resultsPath, expected.name, result, layout);
+          writeLogRecords(resultsPath, expected.name, capture, options.errorFields);
+        }
+        writeExpected(expectedPath, expected.name, result, capture, layout, options.errorFields);
+        updated.push(expected.name);
+        testCase.test.title += ' (expected files updated)';
+      });
+    };
+
+    let reportDiff = function(name, report, against='expected') {
+      console.error(`Export result for ${name} does not match ${against}:\n${report}`);
+      if (resultsPath) {
+        fs.writeFileSync(path.join(resultsPath, `${name}_diff.txt`), report);
+      }
+    };
+
+    let checkFiles = function(expected, result) {
+      const files = resultFiles(result, layout);
+      if (resultsPath) {
+        // Write out the actual files to the specified path
+        writeResults(resultsPath, expected.name, result, layout);
+      }
+      const expectedFiles = typeof expected.result === 'string' ? readTree(expected.result) : resultFiles(expected.result, layout);
+      const treeDiff = diffFileTrees(expectedFiles, files, normalize);
+      const {missing, extra, changed} = treeDiff;
+      if (missing.length || extra.length || changed.length) {
+        reportDiff(expected.name, formatFileTreeReport(treeDiff));
+        const what = perNamespace ? 'namespaces' : 'files';
+        throw new AssertionError(`Exported ${what} for ${expected.name} do not match expected: ${missing.length} missing, ${extra.length} extra, ${changed.length} changed`);
+      }
+    };
+
+    // Returns a report of the differences between two results, or undefined if they're the same
+    let diffResults = function(expectedResult, actualResult) {
+      if (multiFile) {
+        const treeDiff = diffFileTrees(resultFiles(expectedResult, layout), resultFiles(actualResult, layout), normalize);
+        const {missing, extra, changed} = treeDiff;
+        return missing.length || extra.length || changed.length ? formatFileTreeReport(treeDiff) : undefined;
+      }
+      if (normalize && typeof expectedResult === 'string' && typeof actualResult === 'string') {
+        [expectedResult, actualResult] = [normalize(expectedResult), normalize(actualResult)];
+      }
       try {
-        result = exportFn(_specs);
+        expect(actualResult).to.eql(expectedResult);
+      } catch (ex) {
+        return formatDiffReport(expectedResult, actualResult);
+      }
+    };
+
+    let checkShuffled = function(fixture, result) {
+      // Run one seed at a time, each with freshly built specs, so that an exporter that modifies its input can't
+      // affect the next run
+      return shuffleSeeds.reduce((previous, seed) => previous.then(() => {
+        return runAsync(exportFn, shuffleSpecs(fixture.specs(), seed)).catch((ex) => {
+          console.error(`Exporter threw for ${fixture.name} with its input shuffled by seed ${seed}`);
+          throw ex;
+        }).then((shuffled) => {
+          const report = diffResults(result, shuffled);
+          if (report) {
+            reportDiff(fixture.name, report, `the result with its input shuffled by seed ${seed}`);
+            throw new AssertionError(`Export result for ${fixture.name} depends on the input order: it changed when the namespaces and data elements were shuffled by seed ${seed} (set ${SHUFFLE_SEED_ENV_VAR}=${seed} to reproduce)`);
+          }
+        });
+      }), Promise.resolve());
+    };
+
+    let checkExpected = function(expected, fixture, specs) {
+      let result;
+      if (resultsPath) {
+        // Remove any diff left over from a previous run that didn't clean the results path
+        fs.removeSync(path.join(resultsPath, `${expected.name}_diff.txt`));
+      }
+      return exportSpecs(expected.name, specs).then((r) => {
+        result = r;
+        if (multiFile) {
+          checkFiles(expected, result);
+          return;
+        }
         if (resultsPath) {
           // Write out the actual results to the specified path
-          const ext = typeof result === 'object' ? 'json' : 'txt';
-          fs.writeFileSync(path.join(resultsPath, `${expected.name}.${ext}`), JSON.stringify(result, null, 2));
+          writeResults(resultsPath, expected.name, result, layout);
         }
-        expect(result).to.eql(expected.result);
-      } catch (ex) {
-        if (err.errors().length) {
-          console.error('Test failed, additional errors that occurred while executing the test are', err.errors());
+        const expectedResult = expectedResultFor(expected.result, result, layout);
+        const report = diffResults(expectedResult, result);
+        if (report) {
+          reportDiff(expected.name, report);
+          throw new AssertionError(`Export result for ${expected.name} does not match expected`,
+            { expected: expectedResult, actual: result, showDiff: true });
+        }
+      }).catch((ex) => {
+        if (capture.errors().length) {
+          console.error('Test failed, additional errors that occurred while executing the test are', capture.errors());
           if (resultsPath) {
-            fs.writeFileSync(path.join(resultsPath, `${expected.name}_errors.json`), JSON.stringify(err.errors(), null, 2));
+            writeLogRecords(resultsPath, expected.name, capture, options.errorFields);
           }
         }
         if (typeof fixFn === 'function') {
-          fixFn(expected.name, result, err.errors());
+          fixFn(expected.name, result, capture.errors());
         }
         throw ex;
-      }
-      if (err.hasErrors() && resultsPath) {
-        fs.writeFileSync(path.join(resultsPath, `${expected.name}_errors.json`), JSON.stringify(err.errors(), null, 2));
-      }
-      try {
-        if (err.errors().length !== expected.errors.length) {
-          expect(err.errors()).to.deep.equal(expected.errors);
+      }).then(() => {
+        if (resultsPath) {
+          writeLogRecords(resultsPath, expected.name, capture, options.errorFields);
         }
-        for (let i=0; i < expected.errors.length; i++) {
-          const expErr = expected.errors[i];
-          const actErr = err.errors()[i];
-          // The expErr will be a subset of the actErr, so just check the keys in expErr
-          for (const key of Object.keys(expErr)) {
-            expect(actErr[key]).to.eql(expErr[key]);
+        try {
+          capture.checkOverflow();
+          err.checkErrors(expected.errors, capture.errors(), { unordered: options.unorderedErrors });
+          if (typeof expected.warnings !== 'undefined') {
+            err.checkErrors(expected.warnings, capture.warnings(), { unordered: options.unorderedErrors, kind: 'warning' });
           }
+        } catch (e) {
+          if (typeof fixFn === 'function') {
+            fixFn(expected.name, null, capture.errors());
+          }
+          throw e;
         }
-      } catch (e) {
-        if (typeof fixFn === 'function') {
-          fixFn(expected.name, null, err.errors());
-        }
-        throw e;
-      }
+        return checkShuffled(fixture, result);
+      });
     };
 
+    useLogLevel(capture, options.logLevel);
+    useSeparateWarnings(capture, !!expectedWarningsFn);
+
     // Note: using ES5 function syntax instead of () => due to bug in mocha that doesn't preserve context of 'this'
     beforeEach(function() {
-      _specs = new mdl.Specifications();
-      err.clear();
-    });
-
-    afterEach(function() {
-      _specs = null;
-    });
-
-    it('should correctly export a simple entry', function() {
-      addSimpleElement(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('Simple', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a simple entry in a different namespace', function() {
-      addSimpleElement(_specs, 'shr.other.test', true);
-      const expected = wrappedExpectedFns('ForeignSimple', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a coded entry', function() {
-      addCodedElement(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('Coded', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a reference entry', function() {
-      addSimpleReference(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('SimpleReference', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a choice of references', function() {
-      addReferenceChoice(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('ReferenceChoice', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an entry with an element value', function() {
-      // NOTE: This is an entry where the value is not a primitive, e.g. "Value: SomeOtherDataElement"
-      addElementValue(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('ElementValue', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an entry with an element value in a different namespace', function() {
-      // NOTE: This is an entry where the value is not a primitive, e.g. "Value: SomeOtherDataElement"
-      addForeignElementValue(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('ForeignElementValue', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an entry with two-deep element value', function() {
-      // NOTE: This is an entry where the value is a non-primitive, that itself has a value that is a non-primitive
-      addTwoDeepElementValue(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('TwoDeepElementValue', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a choice', function() {
-      addChoice(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('Choice', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a choice containing a choice', function() {
-      addChoiceOfChoice(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('ChoiceOfChoice', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a group', function() {
-      addGroup(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('Group', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a group with a choice containing a choice', function() {
-      addGroupWithChoiceOfChoice(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('GroupWithChoiceOfChoice', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export a group with name clashes', function() {
-      addGroupPathClash(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('GroupPathClash', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an element based on a group element', function() {
-      addGroupDerivative(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('GroupDerivative', this);
-      checkExpected(expected);
-    });
-
-    it('tbd value and fields', function() {
-      addTBDElement(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NotDone', this);
-      checkExpected(expected);
-    });
-
-    it('tbd inheritance', function() {
-      addTBDElementDerivative(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NotDoneDerivative', this);
-      checkExpected(expected);
-    });
-
-    it('abstract and non-entry elements', function() {
-      addAbstractAndPlainElements(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('AbstractAndPlainGroup', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export elements with nested cardinality constraints', function() {
-      addNestedCardConstrainedElement(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NestedCardConstraint', this);
-      checkExpected(expected);
-    });
-    it('should correctly export elements with nested cardinality constraints on lists', function() {
-      addNestedListCardConstrainedElements(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NestedListCardConstraints', this);
-      checkExpected(expected);
-    });
-    it('should correctly export elements with type constraints', function() {
-      addTypeConstrainedElements(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('TypeConstraints', this);
-      checkExpected(expected);
-    });
-    it('should correctly export nested elements with type constraints', function() {
-      addTypeConstrainedElementsWithPath(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('TypeConstraintsWithPath', this);
-      checkExpected(expected);
-    });
-    it('should correctly export choices with type constraints', function() {
-      addTypeConstrainedChoices(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('TypeConstrainedChoices', this);
-      checkExpected(expected);
-    });
-    it('should correctly export type constraints on references', function() {
-      addTypeConstrainedReference(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('TypeConstrainedReference', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export includes type constraints', function() {
-      addIncludesTypeConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('IncludesTypeConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export includes type constraints set on a field\'s value', function() {
-      addOnValueIncludesTypeConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('OnValueIncludesTypeConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export nested includes type constraints', function() {
-      addNestedIncludesTypeConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NestedIncludesTypeConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export includes type constraints with a zeroed out include type', function() {
-      addIncludesTypeConstraintsWithZeroedOutType(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('IncludesTypeConstraintsZeroedOut', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export includes code constraints', function() {
-      addIncludesCodeConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('IncludesCodeConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export nested includes code constraints', function() {
-      addNestedIncludesCodeConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('NestedIncludesCodeConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an element with nested valueset constraints', function() {
-      addValueSetConstraints(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('NestedValueSetConstraints', this);
-      checkExpected(expected);
-    });
-
-    it('should correctly export an element with valueset constraints on a choice', function() {
-      addValueSetChoiceConstraints(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('ChoiceValueSetConstraint', this);
-      checkExpected(expected);
-    });
+      capture.clear();
+    });
+
+    // The fixture each mocha test runs, for the coverage report
+    let fixtureTests;
+    if (coveragePath) {
+      after(function() {
+        const states = { passed: 'pass', failed: 'fail' };
+        const report = coverageReport(Array.from(fixtureTests).map(([test, fixture]) => {
+          return { name: fixture.name, outcome: states[test.state] || 'skip', constructs: fixture.constructs };
+        }));
+        writeCoverage(coveragePath, report);
+      });
+    }
 
-    it('should correctly export an element with boolean and code constraints', function() {
-      addConstConstraints(_specs, 'shr.test', 'shr.other.test', true);
-      const expected = wrappedExpectedFns('BooleanAndCodeConstraints', this);
-      checkExpected(expected);
-    });
+    if (updateExpected) {
+      after(function() {
+        if (updated.length) {
+          console.warn(`Updated expected files in ${expectedPath} for: ${updated.join(', ')}`);
+        }
+        const unused = findUnusedExpectedFiles(expectedPath, FIXTURES.map(f => f.name));
+        if (unused.length) {
+          console.warn(`Expected files in ${expectedPath} not used by any test case: ${unused.join(', ')}`);
+        }
+      });
+    }
 
-    it('should correctly export an element with code constraints', function() {
-      addFixedCodeExtravaganza(_specs, 'shr.test', true);
-      const expected = wrappedExpectedFns('FixedCodeExtravaganza', this);
-      checkExpected(expected);
+    fixtureTests = defineCases(FIXTURES, options, {}, (fixture, specs, testCase) => {
+      const expected = wrappedExpectedFns(fixture.name, testCase);
+      if (updateExpected) {
+        return updateExpectedFiles(expected, specs, testCase);
+      }
+      return checkExpected(expected, fixture, specs);
     });
   };
 }
 
-function addGroup(specs, ns, otherNS, isEntry=false) {
-  let gr = new mdl.DataElement(id(ns, 'Group'), isEntry)
-    .withDescription('It is a group of elements')
-    .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
-    .withConcept(new mdl.Concept('http://boo.org', 'far', 'Boofar'))
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1))
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'ElementValue')).withMinMax(0));
-  add(specs, gr);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addCodedElement(specs, ns);
-  addSimpleElement(specs, otherNS);
-  addForeignElementValue(specs, ns, otherNS);
-  addElementValue(specs, ns);
-  return gr;
-}
-
-function addGroupWithChoiceOfChoice(specs, ns, otherNS, isEntry=false) {
-  let gr = new mdl.DataElement(id(ns, 'GroupWithChoiceOfChoice'), isEntry)
-    .withValue(new mdl.ChoiceValue().withMinMax(0,2)
-      .withOption(new mdl.IdentifiableValue(id('shr.other.test', 'Simple')).withMinMax(1, 1))
-      .withOption(new mdl.ChoiceValue().withMinMax(1, 1)
-        .withOption(new mdl.IdentifiableValue(id('shr.test', 'ForeignElementValue')).withMinMax(1, 1))
-        .withOption(new mdl.IdentifiableValue(id('shr.test', 'ElementValue')).withMinMax(1, 1))
-      ))
-    .withDescription('It is a group of elements with a choice containing a choice')
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1));
-  add(specs, gr);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addCodedElement(specs, ns);
-  addSimpleElement(specs, otherNS);
-  addForeignElementValue(specs, ns, otherNS);
-  addElementValue(specs, ns);
-  return gr;
-}
-
-function addGroupPathClash(specs, ns, nsOther, isEntry=false) {
-  let gr = new mdl.DataElement(id(ns, 'GroupPathClash'), isEntry)
-    .withDescription('It is a group of elements with clashing names')
-    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
-    .withField(new mdl.IdentifiableValue(id('shr.other.test', 'Simple')).withMinMax(0, 1));
-  // Add subelements
-  add(specs, gr);
-  addSimpleElement(specs, ns);
-  addSimpleElement(specs, nsOther);
-  return gr;
-}
-
-function addGroupDerivative(specs, ns, otherNS, isEntry=false) {
-  let gd = new mdl.DataElement(id(ns, 'GroupDerivative'), isEntry)
-    .withBasedOn(id('shr.test', 'Group'))
-    .withDescription('It is a derivative of a group of elements')
-    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  add(specs, gd);
-  // Add subelements
-  addGroup(specs, ns, otherNS);
-  return gd;
-}
-
-function addSimpleElement(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'Simple'), isEntry)
-    .withDescription('It is a simple element')
-    .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
-    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  add(specs, de);
-  return de;
-}
-
-function addCodedElement(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'Coded'), isEntry)
-    .withDescription('It is a coded element')
-    .withValue(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
-      .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded'))
-    );
-  add(specs, de);
-  return de;
-}
-
-function addSimpleReference(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'SimpleReference'), isEntry)
-    .withDescription('It is a reference to a simple element')
-    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1)); // Reference to Entry
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, ns, true);
-  return de;
-}
-
-function addReferenceChoice(specs, ns, otherNS, isEntry=false) {
-  let ch = new mdl.DataElement(id(ns, 'ReferenceChoice'), isEntry)
-      .withDescription('It is a reference to one of a few types')
-      .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
-          .withOption(new mdl.IdentifiableValue(id(otherNS, 'Simple')).withMinMax(1, 1)) // Reference to Entry
-          .withOption(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1)) // Reference to Entry
-      );
-  add(specs, ch);
-  // Add subelements
-  addSimpleElement(specs, otherNS, true);
-  addCodedElement(specs, ns, true);
-  return ch;
-}
-
-function addTwoDeepElementValue(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'TwoDeepElementValue'), isEntry)
-    .withDescription('It is an element with a two-deep element value')
-    .withValue(new mdl.IdentifiableValue(id(ns, 'ElementValue')).withMinMax(1, 1));
-  add(specs, de);
-  // Add subelements
-  addElementValue(specs, ns);
-  return de;
-}
-
-function addElementValue(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'ElementValue'), isEntry)
-    .withDescription('It is an element with an element value')
-    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1));
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  return de;
-}
-
-function addForeignElementValue(specs, ns, otherNS, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'ForeignElementValue'), isEntry)
-    .withDescription('It is an element with a foreign element value')
-    .withValue(new mdl.IdentifiableValue(id(otherNS, 'Simple')).withMinMax(1, 1));
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, otherNS);
-  return de;
-}
-
-function addChoice(specs, ns, isEntry=false) {
-  let ch = new mdl.DataElement(id(ns, 'Choice'), isEntry)
-    .withDescription('It is an element with a choice')
-    .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
-      .withOption(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1))
-      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
-        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/CodeChoice'))
-      )
-      .withOption(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(1, 1))
-    );
-  add(specs, ch);
-  // Add subelements
-  addCodedElement(specs, ns);
-  return ch;
-}
-
-function addChoiceOfChoice(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'ChoiceOfChoice'), isEntry)
-    .withDescription('It is an element with a choice containing a choice')
-    .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
-      .withOption(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1))
-      .withOption(new mdl.ChoiceValue().withMinMax(1, 1)
-        .withOption(new mdl.IdentifiableValue(pid('integer')).withMinMax(1, 1))
-        .withOption(new mdl.IdentifiableValue(pid('decimal')).withMinMax(1, 1))
-      )
-      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
-        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/CodeChoice'))
-      )
-    );
-  add(specs, de);
-  return de;
-}
-
-function addTBDElement(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'NotDone'), isEntry)
-      .withDescription('It is an unfinished element')
-      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
-      .withValue(new mdl.TBD('An undetermined value.').withMinMax(1, 1))
-      .withField(new mdl.TBD('An undetermined list field.').withMinMax(0))
-      .withField(new mdl.TBD('An undetermined singular field.').withMinMax(1, 1))
-      .withField(new mdl.TBD().withMinMax(1));
-  add(specs, de);
-  return de;
-}
-
-function addTBDElementDerivative(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'NotDoneDerivative'), isEntry)
-      .withBasedOn(new mdl.TBD('An undetermined parent.'))
-      .withBasedOn(new mdl.TBD())
-      .withBasedOn(id('shr.test', 'ValuelessElement'))
-      .withDescription('It is an unfinished derivative element')
-      .withConcept(new mdl.TBD('Not sure of the concept'))
-      .withValue(new mdl.TBD('An undetermined list value.').withMinMax(0))
-      .withField(new mdl.TBD('An undetermined singular field.').withMinMax(1, 1));
-  add(specs, de);
-  // Add subelements
-  add(specs, new mdl.DataElement(id(ns, 'ValuelessElement'))
-      .withDescription('An element with no value.')
-      .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1)));
-  addSimpleElement(specs, ns);
-  return de;
-}
-
-function addAbstractAndPlainElements(specs, ns, isEntry=false) {
-  let gr = new mdl.DataElement(id(ns, 'AbstractAndPlainGroup'), isEntry, true)
-      .withDescription('It is an abstract group of elements')
-      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
-      .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
-      .withField(new mdl.IdentifiableValue(id('shr.test', 'Plain')).withMinMax(1, 1));
-  add(specs, gr);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  add(specs, new mdl.DataElement(id(ns, 'Plain'))
-      .withDescription('It is not an entry element')
-      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1)));
-  return gr;
-}
-
-function addNestedCardConstrainedElement(specs, ns, isEntry=false) {
-  let ov = new mdl.DataElement(id(ns, 'OptionalValue'))
-    .withDescription('An element with an optional value.')
-    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(0, 1));
-  let of = new mdl.DataElement(id(ns, 'OptionalField'))
-    .withDescription('An element with an optional field.')
-    .withField(new mdl.IdentifiableValue(id(ns, 'OptionalValue')).withMinMax(0, 1));
-  let de = new mdl.DataElement(id(ns, 'NestedCardConstraint'), isEntry)
-      .withDescription('It has a field with a nested card constraint.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'OptionalField'))
-        .withMinMax(1, 1)
-        .withConstraint(new mdl.CardConstraint(new mdl.Cardinality(1, 1), [id(ns, 'OptionalValue')])));
-  add(specs, ov, of, de);
-  return de;
-}
-
-function addNestedListCardConstrainedElements(specs, ns, isEntry=false) {
-  let ov = new mdl.DataElement(id(ns, 'OptionalList'))
-      .withDescription('An element with an optional list.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(0));
-  let of = new mdl.DataElement(id(ns, 'ListField'))
-      .withDescription('An element with a list field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'OptionalList')).withMinMax(1, 1));
-  let de = new mdl.DataElement(id(ns, 'NestedListCardConstraints'), isEntry)
-      .withDescription('It has a field with a nested card constraint on a list.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'ListField'))
-          .withMinMax(1, 1)
-          .withConstraint(new mdl.CardConstraint(new mdl.Cardinality(2, 10), [id(ns, 'OptionalList'), pid('string')])));
-  add(specs, ov, of, de);
-  return de;
-}
-
-function addTypeConstrainedElements(specs, ns, otherNS, isEntry=false) {
-  addSimpleChildElement(specs, ns);
-  let gd = new mdl.DataElement(id(ns, 'GroupDerivative'), isEntry)
-      .withBasedOn(id('shr.test', 'Group'))
-      .withDescription('It is a derivative of a group of elements with type constraints.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'))))
-      .withField(new mdl.IdentifiableValue(id(ns, 'ElementValue')).withMinMax(0).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), undefined, true)));
-  add(specs, gd);
-  // Add subelements
-  addGroup(specs, ns, otherNS);
-  return gd;
-}
-
-function addTypeConstrainedElementsWithPath(specs, ns, isEntry=false) {
-  let ef = new mdl.DataElement(id(ns, 'ElementField'))
-      .withDescription('It is an element with a field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1));
-  let td = new mdl.DataElement(id(ns, 'TwoDeepElementField'))
-      .withDescription('It is an element with a two-deep element field')
-      .withField(new mdl.IdentifiableValue(id(ns, 'ElementField')).withMinMax(1, 1));
-  let nf = new mdl.DataElement(id(ns, 'NestedField'))
-      .withDescription('It is an element with a nested field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1));
-  let cp = new mdl.DataElement(id(ns, 'ConstrainedPath'), isEntry)
-      .withBasedOn(id('shr.test', 'NestedField'))
-      .withDescription('It derives an element with a nested field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), [id(ns, 'ElementField'), id(ns, 'Simple')])));
-  let cpni = new mdl.DataElement(id(ns, 'ConstrainedPathNoInheritance'), isEntry)
-      .withDescription('It has a new field with a nested constraint.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), [id(ns, 'ElementField'), id(ns, 'Simple')])));
-  add(specs, ef, td, nf, cp, cpni);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addSimpleChildElement(specs, ns);
-  return cp;
-}
-
-function addTypeConstrainedChoices(specs, ns, isEntry=false) {
-  let tcc = new mdl.DataElement(id(ns, 'TypeConstrainedChoice'))
-    .withDescription('It is an element with a choice with a constraint.')
-    .withField(new mdl.IdentifiableValue(id(ns, 'Choice')).withMinMax(1, 1)
-      .withConstraint(new mdl.TypeConstraint(pid('string')).withOnValue(true))
-    );
-  let cv = new mdl.DataElement(id(ns, 'ChoiceValue'))
-    .withDescription('It is an element with a choice value.')
-    .withValue(new mdl.IdentifiableValue(id(ns, 'Choice')).withMinMax(1, 1));
-  let td = new mdl.DataElement(id(ns, 'TwoDeepChoiceField'))
-    .withDescription('It is an element with a a field with a choice.')
-    .withField(new mdl.IdentifiableValue(id(ns, 'ChoiceValue')).withMinMax(0, 1));
-  let tccp = new mdl.DataElement(id(ns, 'TypeConstrainedChoiceWithPath'), isEntry)
-    .withDescription('It is an element with a choice on a field with a constraint.')
-    .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepChoiceField')).withMinMax(0, 1)
-      .withConstraint(new mdl.TypeConstraint(id(ns, 'Coded'), [id(ns, 'ChoiceValue'), id(ns, 'Choice')], true))
-    );
-  add(specs, tcc, cv, td, tccp);
-  // Add subelements
-  addChoice(specs, ns);
-  return tccp;
-}
-
-function addTypeConstrainedReference(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'TypeConstrainedReference'), isEntry)
-    .withBasedOn(id(ns, 'SimpleReference'))
-    .withDescription('It is an element a constraint on a reference.')
-    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1) // Reference to Entry
-      .withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'))));
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, ns, true);
-  addSimpleChildElement(specs, ns, true);
-  addSimpleReference(specs, ns);
-  return de;
-}
+// commonMappingTests runs only the mapping scenarios (those tagged 'mapping', which commonExportTests leaves out unless
+// they are opted in) through commonExportTests, for exporters of element mappings (e.g. FHIR profiles).  It takes the same options object as commonExportTests; an include option
+// replaces the default ['mapping'] (e.g. ['mapping:slicing']).  The scenarios map to fixtures.MAPPING_TARGET.
+function commonMappingTests(options={}) {
+  return commonExportTests(Object.assign({}, options, { include: options.include || ['mapping'] }));
+}
+
+// commonInvalidExportTests runs each deliberately broken scenario in fixtures.INVALID_FIXTURES through exportFn.  Each
+// case fails if exportFn throws (or rejects) or doesn't log any errors; the result itself isn't checked.  It takes a
+// single options object with:
+// - exportFn:         the exporter, called with the broken mdl.Specifications
+// - expectedErrorsFn: returns the errors expected for the named case.  If it returns an empty list (or isn't set),
+//                     any logged errors are accepted.
+// - expectedPath:     the directory holding <name>_errors.json files, used if expectedErrorsFn isn't set
+// plus the updateExpected, include, exclude, timeout, unorderedErrors, capture, errorFields, and logLevel options
+// supported by commonExportTests.  In "update expected" mode, the logged errors are written to <name>_errors.json.
+function commonInvalidExportTests(options={}) {
+  const {exportFn, expectedPath} = options;
+  const capture = options.capture || err.defaultCapture;
+  const updateExpected = options.updateExpected || isUpdateEnvSet(UPDATE_ENV_VAR);
+  if (updateExpected && !expectedPath) {
+    throw new Error(`Updating expected files (options.updateExpected or ${UPDATE_ENV_VAR}) requires options.expectedPath`);
+  }
+  let expectedErrorsFn = options.expectedErrorsFn;
+  if (typeof expectedErrorsFn === 'undefined') {
+    expectedErrorsFn = expectedPath ? (name) => readExpectedRecords(expectedPath, name, 'errors') : () => [];
+  }
 
-function addIncludesTypeConstraints(specs, ns, isEntry=false) {
-  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
-      .withBasedOn(id(ns, 'Simple'))
-      .withDescription('A derivative of the simple type.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  let de = new mdl.DataElement(id(ns, 'IncludesTypesList'), isEntry)
-      .withDescription('An entry with a includes types constraints.')
-      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0)
-          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1)))
-          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2)))
-  );
-  add(specs, sc2);
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addSimpleChildElement(specs, ns);
-  return de;
-}
+  return () => {
+    let checkInvalid = function(fixture, specs, testCase) {
+      // Load the expected errors first, so a missing or broken expected file isn't reported as an exporter failure
+      const expectedErrors = updateExpected ? [] : expectedErrorsFn(fixture.name);
+      return runAsync(exportFn, specs).catch((ex) => {
+        console.error(`Exporter threw on invalid specifications ${fixture.name}:`, ex);
+        if (capture.errors().length) {
+          console.error('Errors that were logged before it threw are', capture.errors());
+        }
+        throw new AssertionError(`Exporter threw on invalid specifications ${fixture.name} instead of logging errors: ${ex}`);
+      }).then(() => {
+        capture.checkOverflow();
+        if (capture.errors().length === 0) {
+          throw new AssertionError(`Exporter logged no errors for invalid specifications ${fixture.name}`);
+        }
+        if (updateExpected) {
+          fs.mkdirpSync(expectedPath);
+          fs.removeSync(path.join(expectedPath, `${fixture.name}_errors.json`));
+          fs.removeSync(path.join(expectedPath, `${fixture.name}_warnings.json`));
+          writeLogRecords(expectedPath, fixture.name, capture, options.errorFields);
+          testCase.test.title += ' (expected files updated)';
+        } else if (expectedErrors.length) {
+          err.checkErrors(expectedErrors, capture.errors(), { unordered: options.unorderedErrors });
+        }
+      });
+    };
 
-function addIncludesTypeConstraintsWithZeroedOutType(specs, ns, isEntry=false) {
-  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
-      .withBasedOn(id(ns, 'Simple'))
-      .withDescription('A derivative of the simple type.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  let de = new mdl.DataElement(id(ns, 'IncludesTypesListWithZeroedOutType'), isEntry)
-      .withDescription('An entry with a includes types constraints.')
-      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0)
-          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1)))
-          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 0)))
-  );
-  add(specs, sc2);
-  add(specs, de);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addSimpleChildElement(specs, ns);
-  return de;
-}
+    useLogLevel(capture, options.logLevel);
 
-function addOnValueIncludesTypeConstraints(specs, ns, isEntry=false) {
-  let evl = new mdl.DataElement(id(ns, 'ElementValueList'), false, false)
-      .withDescription('It is an element with a value that is a list of elements')
-      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0));
-  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
-      .withBasedOn(id(ns, 'Simple'))
-      .withDescription('A derivative of the simple type.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  let de = new mdl.DataElement(id(ns, 'OnValueIncludesTypeConstraints'), isEntry)
-      .withDescription('An entry with includes types constraints that are on the value of the field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'ElementValueList')).withMinMax(0, 1)
-        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1), [], true))
-        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2), [], true))
-  );
-  add(specs, evl, sc2, de);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addSimpleChildElement(specs, ns);
-  return de;
-}
+    // Note: using ES5 function syntax instead of () => due to bug in mocha that doesn't preserve context of 'this'
+    beforeEach(function() {
+      capture.clear();
+    });
 
-function addNestedIncludesTypeConstraints(specs, ns, isEntry=false) {
-  let efl = new mdl.DataElement(id(ns, 'ElementFieldList'), false, false)
-      .withDescription('It is an element with a field that is a list of elements')
-      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0));
-  let eflc = new mdl.DataElement(id(ns, 'ElementFieldListContainer'), false, false)
-      .withDescription('It is an element with a field that contains an element with a field that is a list of elements')
-      .withField(new mdl.IdentifiableValue(id(ns, 'ElementFieldList')).withMinMax(0,1));
-  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
-      .withBasedOn(id(ns, 'Simple'))
-      .withDescription('A derivative of the simple type.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  let de = new mdl.DataElement(id(ns, 'NestedIncludesTypeConstraints'), isEntry)
-      .withDescription('An entry with includes types constraints that are on a nested field.')
-      .withField(new mdl.IdentifiableValue(id(ns, 'ElementFieldListContainer')).withMinMax(0, 1)
-        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1), [id(ns, 'ElementFieldList'), id(ns, 'Simple')], false))
-        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2), [id(ns, 'ElementFieldList'), id(ns, 'Simple')], false))
-  );
-  add(specs, efl, eflc, sc2, de);
-  // Add subelements
-  addSimpleElement(specs, ns);
-  addSimpleChildElement(specs, ns);
-  return de;
+    defineCases(INVALID_FIXTURES, options, {}, checkInvalid);
+  };
 }
 
-function addIncludesCodeConstraints(specs, ns, isEntry=false) {
-  let de = new mdl.DataElement(id(ns, 'IncludesCodesList'), isEntry)
-    .withDescription('An entry with a includes codes constraint.')
-    .withValue(new mdl.IdentifiableValue(pid('concept')).withMinMax(0)
-      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar')))
-      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://boo.org', 'far', 'Boofar')))
-    );
-  add(specs, de);
-  return de;
+// Returns the seed of each shuffled run for the shuffle option (none if it isn't set)
+function getShuffleSeeds(shuffle) {
+  if (!shuffle) {
+    return [];
+  }
+  let runs = DEFAULT_SHUFFLE_RUNS;
+  let seed;
+  if (typeof shuffle === 'number') {
+    runs = shuffle;
+  } else if (typeof shuffle === 'object') {
+    runs = typeof shuffle.runs === 'undefined' ? DEFAULT_SHUFFLE_RUNS : shuffle.runs;
+    seed = shuffle.seed;
+  }
+  const envSeed = process.env[SHUFFLE_SEED_ENV_VAR];
+  if (typeof envSeed !== 'undefined' && envSeed !== '') {
+    seed = parseInt(envSeed, 10);
+    if (isNaN(seed)) {
+      throw new Error(`${SHUFFLE_SEED_ENV_VAR} must be an integer: ${envSeed}`);
+    }
+  } else if (typeof seed === 'undefined') {
+    seed = Math.floor(Math.random() * 0x100000000);
+  }
+  const seeds = [];
+  for (let i = 0; i < runs; i++) {
+    seeds.push((seed + i) >>> 0);
+  }
+  return seeds;
+}
+
+// The standard expected files layout is <name>.json (object results), <name>.<textExtension> (string results), or a
+// <name>/ directory (multi-file results), plus <name>_errors.json and <name>_warnings.json when errors or warnings are
+// expected
+function resultFile(dir, name, isText, layout) {
+  const ext = isText ? layout.textExtension : 'json';
+  return path.join(dir, `${name}.${ext}`);
+}
+
+function writeResults(dir, name, result, layout) {
+  if (layout.multiFile) {
+    const treeDir = path.join(dir, name);
+    fs.removeSync(treeDir);
+    writeTree(treeDir, resultFiles(result, layout));
+  } else if (typeof result === 'string') {
+    // Text results are written verbatim so they can be opened and diffed as the real artifact
+    fs.writeFileSync(resultFile(dir, name, true, layout), result);
+  } else {
+    fs.writeFileSync(resultFile(dir, name, false, layout), JSON.stringify(result, null, 2));
+  }
 }
 
-function addNestedIncludesCodeConstraints(specs, ns, isEntry=false) {
-  // NOTE: This tests a suspicious use case, as the includes code resolves to a 1..1 code.  It's the code's parent
-  // that is actually a list -- so the iteration happens one level up.  This test is here because it reflects a real
-  // use case in actual SHR definitions.
-  let de = new mdl.DataElement(id(ns, 'NestedIncludesCodes'), isEntry)
-    .withDescription('An entry with a nested includes codes constraint.')
-    .withValue(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0)
-      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar'), [pid('concept')]))
-      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://boo.org', 'far', 'Boofar'), [pid('concept')]))
-    );
-  add(specs, de);
-  // Add subelements
-  addCodedElement(specs, ns);
-  return de;
+// Writes the normalized view of the captured errors and warnings, so that the files can be promoted to expected
+// files as-is
+function writeLogRecords(dir, name, capture, fields) {
+  for (const [kind, records] of [['errors', capture.errors()], ['warnings', capture.warnings()]]) {
+    if (records.length) {
+      fs.writeFileSync(path.join(dir, `${name}_${kind}.json`), JSON.stringify(err.normalizeRecords(records, fields), null, 2));
+    }
+  }
 }
 
-function addValueSetConstraints(specs, ns, otherNS, isEntry=false) {
-  let gd = new mdl.DataElement(id(ns, 'NestedValueSetConstraints'), isEntry)
-      .withBasedOn(id('shr.test', 'Group'))
-      .withDescription('It has valueset constraints on a field.')
-      .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1)
-        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded2', [pid('concept')]).withBindingStrength(mdl.REQUIRED))
-  );
-  add(specs, gd);
-  // Add subelements
-  addGroup(specs, ns, otherNS);
-  return gd;
+function readExpectedResult(dir, name, layout) {
+  if (layout.multiFile) {
+    const treeDir = path.join(dir, name);
+    if (!fs.existsSync(treeDir)) {
+      throw new Error(`Expected directory ${treeDir} does not exist`);
+    }
+    // The directory path is read when the case is checked
+    return treeDir;
+  }
+  // When text results are written to <name>.json, the file holds the exported text, so it is read as text (and
+  // parsed by expectedResultFor if the result turns out to be an object)
+  const jsonFile = path.join(dir, `${name}.json`);
+  if (layout.textExtension !== 'json' && fs.existsSync(jsonFile)) {
+    return fs.readJsonSync(jsonFile);
+  }
+  return fs.readFileSync(resultFile(dir, name, true, layout), 'utf8');
 }
 
-function addValueSetChoiceConstraints(specs, ns, isEntry=false) {
-  let cc = new mdl.DataElement(id(ns, 'CodedChoice'))
-    .withDescription('An element with a choice of code fields.')
-    .withValue(new mdl.ChoiceValue().withMinMax(0, 1)
-      .withOption(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1))
-      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1))
-    );
-  let de = new mdl.DataElement(id(ns, 'ChoiceValueSetConstraint'), isEntry)
-    .withDescription('It has valueset constraints on a choice field.')
-    .withField(new mdl.IdentifiableValue(id(ns, 'CodedChoice')).withMinMax(0, 1)
-      .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded2', [pid('concept')]).withBindingStrength(mdl.PREFERRED))
-    );
-  add(specs, cc, de);
-  // Add subelements
-  addCodedElement(specs, ns);
-  return de;
+// The expected result to compare an actual result against.  With textExtension 'json', <name>.json is read as text
+// before the export runs, so it's parsed here if the exporter returned an object.
+function expectedResultFor(expectedResult, result, layout) {
+  if (layout.textExtension === 'json' && typeof expectedResult === 'string' && typeof result === 'object' && result !== null) {
+    return JSON.parse(expectedResult);
+  }
+  return expectedResult;
 }
 
-function addConstConstraints(specs, ns, otherNS, isEntry=false) {
-  let bl = new mdl.DataElement(id(ns, 'Bool'), false)
-    .withDescription('A boolean element.')
-      .withValue(new mdl.IdentifiableValue(pid('boolean')).withMinMax(0, 1));
-  let cc = new mdl.DataElement(id(ns, 'BooleanAndCodeConstraints'), isEntry)
-    .withBasedOn(id('shr.test', 'Group'))
-    .withDescription('It has boolean and code constraints.')
-    .withValue(new mdl.IdentifiableValue(pid('boolean')).withMinMax(1, 1).withConstraint(new mdl.BooleanConstraint(true)))
-    .withField(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(0, 1)
-      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar'), [pid('concept')])))
-    .withField(new mdl.IdentifiableValue(id(ns, 'Bool')).withMinMax(0, 1)
-      .withConstraint(new mdl.BooleanConstraint(false)));
-
-  add(specs, bl, cc);
-  // Add subelements
-  addGroup(specs, ns, otherNS);
-  return cc;
+// Reads <name>_errors.json or <name>_warnings.json, defaulting to no records
+function readExpectedRecords(dir, name, kind) {
+  const recordsFile = path.join(dir, `${name}_${kind}.json`);
+  return fs.existsSync(recordsFile) ? fs.readJsonSync(recordsFile) : [];
 }
 
-function addFixedCodeExtravaganza(specs, ns, isEntry=false) {
-  // NOTE: This is considerably less interesting w/ the elimination of Coding and CodeableConcept
-  const fce = new mdl.DataElement(id(ns, 'FixedCodeExtravaganza'), isEntry)
-    .withDescription('An element with all sorts of fixed codes.')
-    .withValue(new mdl.ChoiceValue().withMinMax(0, 1)
-      .withOption(new mdl.IdentifiableValue(pid('Coded')).withMinMax(1, 1)
-        .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo1.org', 'bar1', 'Foobar1'), [pid('concept')]))
-      )
-      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
-        .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo2.org', 'bar2', 'Foobar2')))
-      )
-    )
-    .withField(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
-      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo3.org', 'bar3', 'Foobar3')))
-    )
-    .withField(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1)
-      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo4.org', 'bar4', 'Foobar4'), [pid('concept')]))
-    );
-  add(specs, fce);
-  // Add subelements
-  addCodedElement(specs, ns);
-  return fce;
+function writeExpected(dir, name, result, capture, layout, errorFields) {
+  fs.mkdirpSync(dir);
+  // Remove stale results of the other types so that they can't shadow the new one
+  fs.removeSync(path.join(dir, name));
+  fs.removeSync(resultFile(dir, name, false, layout));
+  fs.removeSync(resultFile(dir, name, true, layout));
+  fs.removeSync(path.join(dir, `${name}_errors.json`));
+  fs.removeSync(path.join(dir, `${name}_warnings.json`));
+  writeResults(dir, name, result, layout);
+  writeLogRecords(dir, name, capture, errorFields);
 }
 
-function addSimpleChildElement(specs, ns, isEntry=false) {
-  let sc1 = new mdl.DataElement(id(ns, 'SimpleChild'), isEntry)
-      .withBasedOn(id(ns, 'Simple'))
-      .withDescription('A derivative of the simple type.')
-      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
-  add(specs, sc1);
+// Converts a multi-file result (an object or Map of relative file path to content) to an object keyed by normalized
+// '/'-separated paths
+function toFileMap(result) {
+  if (typeof result !== 'object' || result === null || Array.isArray(result)) {
+    throw new Error('A multi-file result must be an object or Map of relative file paths to file contents');
+  }
+  const entries = result instanceof Map ? Array.from(result.entries()) : Object.keys(result).map(k => [k, result[k]]);
+  const files = {};
+  for (const [filePath, content] of entries) {
+    const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+    if (path.posix.isAbsolute(normalized) || normalized.startsWith('..')) {
+      throw new Error(`A multi-file result path must be relative and stay within its directory: ${filePath}`);
+    }
+    files[normalized] = content;
+  }
+  return files;
 }
 
-function add(specs, ...dataElements) {
-  for (const de of dataElements) {
-    specs.namespaces.add(new mdl.Namespace(de.identifier.namespace));
-    specs.dataElements.add(de);
+// Converts a multi-file or per-namespace result to an object keyed by normalized '/'-separated paths.  Each namespace
+// in a per-namespace result becomes a <namespace>.json (or .<textExtension>, for string results) file.
+function resultFiles(result, layout) {
+  if (!layout.perNamespace) {
+    return toFileMap(result);
+  }
+  if (typeof result !== 'object' || result === null || Array.isArray(result)) {
+    throw new Error('A per-namespace result must be an object or Map of namespace to result');
+  }
+  const entries = result instanceof Map ? Array.from(result.entries()) : Object.keys(result).map(k => [k, result[k]]);
+  const files = {};
+  for (const [namespace, content] of entries) {
+    if (/[\\/]/.test(namespace)) {
+      throw new Error(`A per-namespace result key must be a namespace: ${namespace}`);
+    }
+    files[`${namespace}.${typeof content === 'string' ? layout.textExtension : 'json'}`] = content;
   }
+  return files;
 }
 
-function id(namespace, name) {
-  return new mdl.Identifier(namespace, name);
+// Reads a directory tree into an object of '/'-separated relative file path to Buffer
+function readTree(dir, relDir='', files={}) {
+  for (const entry of fs.readdirSync(path.join(dir, relDir))) {
+    const relPath = relDir ? `${relDir}/${entry}` : entry;
+    if (fs.statSync(path.join(dir, relPath)).isDirectory()) {
+      readTree(dir, relPath, files);
+    } else {
+      files[relPath] = fs.readFileSync(path.join(dir, relPath));
+    }
+  }
+  return files;
+}
+
+function writeTree(dir, files) {
+  for (const relPath of Object.keys(files)) {
+    const filePath = path.join(dir, ...relPath.split('/'));
+    const content = files[relPath];
+    fs.mkdirpSync(path.dirname(filePath));
+    if (Buffer.isBuffer(content) || typeof content === 'string') {
+      fs.writeFileSync(filePath, content);
+    } else {
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+    }
+  }
 }
 
-function pid(name) {
-  return new mdl.PrimitiveIdentifier(name);
+function findUnusedExpectedFiles(dir, names) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(file => {
+    if (fs.statSync(path.join(dir, file)).isDirectory()) {
+      return !names.includes(file);
+    }
+    const name = file.replace(/_(errors|warnings)\.json$/, '').split('.')[0];
+    return !names.includes(name);
+  });
 }
 
-module.exports = {commonExportTests, MODELS_INFO: mdl.MODELS_INFO};
+module.exports = {commonExportTests, commonMappingTests, commonInvalidExportTests, MODELS_INFO: mdl.MODELS_INFO};
@@ -0,0 +1,1388 @@
+const mdl = require('shr-models');
+const {specsConstructs} = require('./coverage.js');
+
+// The target spec the mapping scenarios map to
+const MAPPING_TARGET = 'FHIR_STU_3';
+
+// The registry of named fixture scenarios.  Each entry has:
+// - name:        the case name used for expected files and expectedFn/expectedErrorsFn lookups
+// - title:       the mocha test title used by commonExportTests
+// - description: a short description of what the scenario models
+// - constructs:  the shr-models constructs the scenario exercises, as found in its specs by coverage.specsConstructs
+// - tags:        the families the scenario belongs to (e.g. 'choice', 'constraint:type', 'namespace:foreign'), used to
+//                include or exclude cases
+// - build:       a function that populates a given mdl.Specifications (returning the primary element, value set, mapping,
+//                or content profile)
+// - optIn:       (optional) true if the scenario only runs when a suite's include or optIn option names it or one of
+//                its tags, so that adding it doesn't add cases to existing suites
+// - ignoredProblems: (optional) the validate.validateSpecs problem kinds the scenario has on purpose (e.g.
+//                'empty-namespace')
+// - expectedProblems: (INVALID_FIXTURES only) the validate.validateSpecs problem kinds the scenario must have
+// - specs:       a function that returns a fresh mdl.Specifications populated by build
+const FIXTURES = [
+  {
+    name: 'Simple',
+    title: 'should correctly export a simple entry',
+    description: 'An entry with a primitive string value and a concept.',
+    tags: [],
+    build: (specs) => addSimpleElement(specs, 'shr.test', true)
+  },
+  {
+    name: 'ForeignSimple',
+    title: 'should correctly export a simple entry in a different namespace',
+    description: 'The simple entry, defined in the shr.other.test namespace.',
+    tags: ['namespace:foreign'],
+    build: (specs) => addSimpleElement(specs, 'shr.other.test', true)
+  },
+  {
+    name: 'Coded',
+    title: 'should correctly export a coded entry',
+    description: 'An entry with a concept value bound to a value set.',
+    tags: ['constraint:valueset'],
+    build: (specs) => addCodedElement(specs, 'shr.test', true)
+  },
+  {
+    name: 'SimpleReference',
+    title: 'should correctly export a reference entry',
+    description: 'An entry whose value is a reference to another entry.',
+    tags: ['reference'],
+    build: (specs) => addSimpleReference(specs, 'shr.test', true)
+  },
+  {
+    name: 'ReferenceChoice',
+    title: 'should correctly export a choice of references',
+    description: 'An entry whose value is a choice of references to entries in two namespaces.',
+    tags: ['reference', 'choice', 'namespace:foreign'],
+    build: (specs) => addReferenceChoice(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'ElementValue',
+    title: 'should correctly export an entry with an element value',
+    description: 'An entry whose value is a non-primitive element, e.g. "Value: SomeOtherDataElement".',
+    tags: ['element-value'],
+    build: (specs) => addElementValue(specs, 'shr.test', true)
+  },
+  {
+    name: 'ForeignElementValue',
+    title: 'should correctly export an entry with an element value in a different namespace',
+    description: 'An entry whose value is a non-primitive element from another namespace.',
+    tags: ['element-value', 'namespace:foreign'],
+    build: (specs) => addForeignElementValue(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'TwoDeepElementValue',
+    title: 'should correctly export an entry with two-deep element value',
+    description: 'An entry whose value is a non-primitive element that itself has a non-primitive value.',
+    tags: ['element-value'],
+    build: (specs) => addTwoDeepElementValue(specs, 'shr.test', true)
+  },
+  {
+    name: 'Choice',
+    title: 'should correctly export a choice',
+    description: 'An entry whose value is a choice of a primitive, a bound concept and an element.',
+    tags: ['choice', 'constraint:valueset'],
+    build: (specs) => addChoice(specs, 'shr.test', true)
+  },
+  {
+    name: 'ChoiceOfChoice',
+    title: 'should correctly export a choice containing a choice',
+    description: 'An entry whose value is a choice with a nested choice option.',
+    tags: ['choice', 'choice:nested', 'constraint:valueset'],
+    build: (specs) => addChoiceOfChoice(specs, 'shr.test', true)
+  },
+  {
+    name: 'Group',
+    title: 'should correctly export a group',
+    description: 'An entry with concepts and fields of varying cardinality, but no value.',
+    tags: ['group', 'namespace:foreign'],
+    build: (specs) => addGroup(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'GroupWithChoiceOfChoice',
+    title: 'should correctly export a group with a choice containing a choice',
+    description: 'A group whose value is a list choice with a nested choice option.',
+    tags: ['group', 'choice', 'choice:nested', 'namespace:foreign'],
+    build: (specs) => addGroupWithChoiceOfChoice(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'GroupPathClash',
+    title: 'should correctly export a group with name clashes',
+    description: 'A group with two fields that have the same name in different namespaces.',
+    tags: ['group', 'namespace:foreign'],
+    build: (specs) => addGroupPathClash(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'GroupDerivative',
+    title: 'should correctly export an element based on a group element',
+    description: 'An entry based on the group entry, adding a value.',
+    tags: ['group', 'inheritance', 'namespace:foreign'],
+    build: (specs) => addGroupDerivative(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'NotDone',
+    title: 'tbd value and fields',
+    description: 'An entry with a TBD value and TBD fields.',
+    tags: ['tbd'],
+    build: (specs) => addTBDElement(specs, 'shr.test', true)
+  },
+  {
+    name: 'NotDoneDerivative',
+    title: 'tbd inheritance',
+    description: 'An entry based on TBD parents, with a TBD concept, value and field.',
+    tags: ['tbd', 'inheritance'],
+    build: (specs) => addTBDElementDerivative(specs, 'shr.test', true)
+  },
+  {
+    name: 'AbstractAndPlainGroup',
+    title: 'abstract and non-entry elements',
+    description: 'An abstract entry with a field that is a non-entry element.',
+    tags: ['group', 'abstract'],
+    build: (specs) => addAbstractAndPlainElements(specs, 'shr.test', true)
+  },
+  {
+    name: 'NestedCardConstraint',
+    title: 'should correctly export elements with nested cardinality constraints',
+    description: 'An entry with a cardinality constraint on a field\'s nested value.',
+    tags: ['constraint:card', 'constraint:path'],
+    build: (specs) => addNestedCardConstrainedElement(specs, 'shr.test', true)
+  },
+  {
+    name: 'NestedListCardConstraints',
+    title: 'should correctly export elements with nested cardinality constraints on lists',
+    description: 'An entry with a cardinality constraint on a field\'s nested list value.',
+    tags: ['constraint:card', 'constraint:path'],
+    build: (specs) => addNestedListCardConstrainedElements(specs, 'shr.test', true)
+  },
+  {
+    name: 'TypeConstraints',
+    title: 'should correctly export elements with type constraints',
+    description: 'A group derivative with type constraints on a field and on a list field\'s value.',
+    tags: ['constraint:type', 'inheritance', 'group', 'namespace:foreign'],
+    build: (specs) => addTypeConstrainedElements(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'TypeConstraintsWithPath',
+    title: 'should correctly export nested elements with type constraints',
+    description: 'Entries with type constraints on a nested path, with and without inheritance.',
+    tags: ['constraint:type', 'constraint:path', 'inheritance'],
+    build: (specs) => addTypeConstrainedElementsWithPath(specs, 'shr.test', true)
+  },
+  {
+    name: 'TypeConstrainedChoices',
+    title: 'should correctly export choices with type constraints',
+    description: 'Elements with type constraints selecting an option of a choice, directly and on a path.',
+    tags: ['constraint:type', 'constraint:path', 'choice'],
+    build: (specs) => addTypeConstrainedChoices(specs, 'shr.test', true)
+  },
+  {
+    name: 'TypeConstrainedReference',
+    title: 'should correctly export type constraints on references',
+    description: 'An entry with a type constraint on an inherited reference value.',
+    tags: ['constraint:type', 'reference', 'inheritance'],
+    build: (specs) => addTypeConstrainedReference(specs, 'shr.test', true)
+  },
+  {
+    name: 'IncludesTypeConstraints',
+    title: 'should correctly export includes type constraints',
+    description: 'An entry with includes type constraints on a list value.',
+    tags: ['constraint:includes-type'],
+    build: (specs) => addIncludesTypeConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'OnValueIncludesTypeConstraints',
+    title: 'should correctly export includes type constraints set on a field\'s value',
+    description: 'An entry with includes type constraints on the list value of a field.',
+    tags: ['constraint:includes-type'],
+    build: (specs) => addOnValueIncludesTypeConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'NestedIncludesTypeConstraints',
+    title: 'should correctly export nested includes type constraints',
+    description: 'An entry with includes type constraints on a nested list field.',
+    tags: ['constraint:includes-type', 'constraint:path'],
+    build: (specs) => addNestedIncludesTypeConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'IncludesTypeConstraintsZeroedOut',
+    title: 'should correctly export includes type constraints with a zeroed out include type',
+    description: 'An entry with includes type constraints where one included type is constrained to 0..0.',
+    tags: ['constraint:includes-type'],
+    build: (specs) => addIncludesTypeConstraintsWithZeroedOutType(specs, 'shr.test', true)
+  },
+  {
+    name: 'IncludesCodeConstraints',
+    title: 'should correctly export includes code constraints',
+    description: 'An entry with includes code constraints on a list of concepts.',
+    tags: ['constraint:includes-code'],
+    build: (specs) => addIncludesCodeConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'NestedIncludesCodeConstraints',
+    title: 'should correctly export nested includes code constraints',
+    description: 'An entry with includes code constraints on the concept of a list of coded elements.',
+    tags: ['constraint:includes-code', 'constraint:path'],
+    build: (specs) => addNestedIncludesCodeConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'NestedValueSetConstraints',
+    title: 'should correctly export an element with nested valueset constraints',
+    description: 'A group derivative with a required value set constraint on a nested concept.',
+    tags: ['constraint:valueset', 'constraint:path', 'inheritance', 'namespace:foreign'],
+    build: (specs) => addValueSetConstraints(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'ChoiceValueSetConstraint',
+    title: 'should correctly export an element with valueset constraints on a choice',
+    description: 'An entry with a preferred value set constraint on a field whose value is a choice.',
+    tags: ['constraint:valueset', 'constraint:path', 'choice'],
+    build: (specs) => addValueSetChoiceConstraints(specs, 'shr.test', true)
+  },
+  {
+    name: 'BooleanAndCodeConstraints',
+    title: 'should correctly export an element with boolean and code constraints',
+    description: 'A group derivative with boolean constraints on its value and a field, and a code constraint.',
+    tags: ['constraint:boolean', 'constraint:code', 'constraint:path', 'inheritance', 'namespace:foreign'],
+    build: (specs) => addConstConstraints(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'FixedCodeExtravaganza',
+    title: 'should correctly export an element with code constraints',
+    description: 'An entry with code constraints on choice options, primitive fields and element fields.',
+    tags: ['constraint:code', 'constraint:path', 'choice'],
+    // The first choice option refers to Coded as a primitive, which existing expected results depend on
+    ignoredProblems: ['unknown-primitive'],
+    build: (specs) => addFixedCodeExtravaganza(specs, 'shr.test', true)
+  },
+  {
+    name: 'CodedValueSet',
+    title: 'should correctly export a value set of included codes',
+    description: 'The coded entry with its value set, which includes codes from a local code system.',
+    tags: ['valueset', 'codesystem', 'constraint:valueset'],
+    optIn: true,
+    build: (specs) => addCodedValueSet(specs, 'shr.test', true)
+  },
+  {
+    name: 'CodeSystemValueSet',
+    title: 'should correctly export a value set including a whole code system',
+    description: 'The choice entry with its value set, which includes every code in a local code system.',
+    tags: ['valueset', 'codesystem', 'constraint:valueset', 'choice'],
+    optIn: true,
+    build: (specs) => addCodeSystemValueSet(specs, 'shr.test', true)
+  },
+  {
+    name: 'DescendantsValueSet',
+    title: 'should correctly export a value set with descendant rules',
+    description: 'An entry bound to a value set that includes and excludes descendants of codes in an external code system.',
+    tags: ['valueset', 'constraint:valueset', 'constraint:path', 'choice'],
+    optIn: true,
+    build: (specs) => addDescendantsValueSet(specs, 'shr.test', true)
+  },
+  {
+    name: 'ForeignValueSet',
+    title: 'should correctly export a value set in a different namespace',
+    description: 'An entry bound to a value set in another namespace, which includes codes from a code system in the entry\'s namespace.',
+    tags: ['valueset', 'codesystem', 'constraint:valueset', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addForeignValueSet(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'SimpleMapping',
+    title: 'should correctly export a simple entry mapping',
+    description: 'The simple entry, with its value mapped to a FHIR Observation field.',
+    tags: ['mapping', 'mapping:field'],
+    optIn: true,
+    build: (specs) => addSimpleMapping(specs, 'shr.test', true)
+  },
+  {
+    name: 'CodedMapping',
+    title: 'should correctly export a coded entry mapping with fixed values',
+    description: 'The coded entry, with its value mapped to a FHIR Observation field and a fixed status.',
+    tags: ['mapping', 'mapping:field', 'mapping:fixed', 'constraint:valueset'],
+    optIn: true,
+    build: (specs) => addCodedMapping(specs, 'shr.test', true)
+  },
+  {
+    name: 'GroupMapping',
+    title: 'should correctly export a group mapping with slices',
+    description: 'The group entry, with its fields mapped to slices of a FHIR Observation list and a constrained cardinality.',
+    tags: ['mapping', 'mapping:field', 'mapping:cardinality', 'mapping:slicing', 'group', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addGroupMapping(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'ChoiceOfChoiceMapping',
+    title: 'should correctly export a mapping of a choice containing a choice',
+    description: 'The nested choice entry, with each option mapped to a different FHIR choice type.',
+    tags: ['mapping', 'mapping:field', 'choice', 'choice:nested', 'constraint:valueset'],
+    optIn: true,
+    build: (specs) => addChoiceOfChoiceMapping(specs, 'shr.test', true)
+  },
+  {
+    name: 'GroupDerivativeMapping',
+    title: 'should correctly export a mapping inherited through basedOn',
+    description: 'The group derivative entry, whose mapping is inherited from the group mapping.',
+    tags: ['mapping', 'mapping:inheritance', 'mapping:slicing', 'inheritance', 'group', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addGroupDerivativeMapping(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'GroupContentProfile',
+    title: 'should correctly export a group with a content profile',
+    description: 'The group entry, with must-support rules on its fields and a nested field, and a no-profile rule.',
+    tags: ['content-profile', 'content-profile:nested', 'group', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addGroupContentProfile(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'NestedCardConstraintContentProfile',
+    title: 'should correctly export a content profile on a constrained nested path',
+    description: 'The nested cardinality constraint entry, with a must-support rule on the constrained nested value.',
+    tags: ['content-profile', 'content-profile:nested', 'constraint:card', 'constraint:path'],
+    optIn: true,
+    build: (specs) => addNestedCardConstraintContentProfile(specs, 'shr.test', true)
+  },
+  {
+    name: 'TypeConstraintsWithPathContentProfile',
+    title: 'should correctly export a content profile on inherited fields',
+    description: 'The nested type constraint entries, with must-support rules on an inherited field and its nested fields.',
+    tags: ['content-profile', 'content-profile:nested', 'content-profile:inherited', 'constraint:type', 'constraint:path', 'inheritance'],
+    optIn: true,
+    build: (specs) => addTypeConstraintsWithPathContentProfile(specs, 'shr.test', true)
+  },
+  {
+    name: 'GroupWithChoiceOfChoiceContentProfile',
+    title: 'should correctly export a content profile on choice options',
+    description: 'The group with a choice containing a choice, with must-support rules on options of the nested choice.',
+    tags: ['content-profile', 'content-profile:choice', 'group', 'choice', 'choice:nested', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addGroupWithChoiceOfChoiceContentProfile(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'NamespaceDescriptions',
+    title: 'should correctly export namespaces with descriptions',
+    description: 'The foreign element value entry, with descriptions on both of its namespaces.',
+    tags: ['namespace', 'namespace:metadata', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addNamespaceDescriptions(specs, 'shr.test', 'shr.other.test', true)
+  },
+  {
+    name: 'TransitiveNamespaces',
+    title: 'should correctly export elements with transitive namespace dependencies',
+    description: 'An entry in one namespace with a field from a second namespace, whose value is from a third namespace.',
+    tags: ['namespace', 'namespace:multi', 'namespace:metadata', 'namespace:foreign'],
+    optIn: true,
+    build: (specs) => addTransitiveNamespaces(specs, 'shr.test', 'shr.other.test', 'shr.third.test', true)
+  },
+  {
+    name: 'SameNameAcrossNamespaces',
+    title: 'should correctly export same-named elements in several namespaces',
+    description: 'A group with Simple fields from three different namespaces.',
+    tags: ['namespace', 'namespace:multi', 'namespace:foreign', 'group'],
+    optIn: true,
+    build: (specs) => addSameNameAcrossNamespaces(specs, 'shr.test', 'shr.other.test', 'shr.third.test', true)
+  },
+  {
+    name: 'EmptyNamespace',
+    title: 'should correctly export an empty namespace',
+    description: 'The simple entry, plus a described namespace that has no elements.',
+    tags: ['namespace', 'namespace:empty', 'namespace:metadata'],
+    optIn: true,
+    ignoredProblems: ['empty-namespace'],
+    build: (specs) => addEmptyNamespace(specs, 'shr.test', 'shr.empty.test', true)
+  }
+].map(defineFixture);
+
+// The registry of deliberately broken scenarios, used by export.commonInvalidExportTests.  Entries have the same
+// fields as FIXTURES.  Exporters are expected to log errors for these rather than throw.  Each lists the
+// validate.validateSpecs problem kinds that make it invalid in expectedProblems.
+const INVALID_FIXTURES = [
+  {
+    name: 'CircularBasedOn',
+    title: 'should log errors for elements that are based on each other',
+    description: 'An entry based on an element that is based on the entry.',
+    tags: ['invalid', 'inheritance'],
+    expectedProblems: ['basedOn-cycle'],
+    build: (specs) => addCircularBasedOn(specs, 'shr.test', true)
+  },
+  {
+    name: 'UndefinedReference',
+    title: 'should log errors for a reference to an undefined element',
+    description: 'An entry with a field whose element is never defined.',
+    tags: ['invalid', 'reference'],
+    expectedProblems: ['unresolved-identifier'],
+    build: (specs) => addUndefinedReference(specs, 'shr.test', true)
+  },
+  {
+    name: 'NonSubtypeTypeConstraint',
+    title: 'should log errors for a type constraint to a type that is not a subtype',
+    description: 'An entry with a Simple field constrained to Coded, which is not based on Simple.',
+    tags: ['invalid', 'constraint:type'],
+    expectedProblems: ['invalid-type-constraint'],
+    build: (specs) => addNonSubtypeTypeConstraint(specs, 'shr.test', true)
+  },
+  {
+    name: 'WidenedCardConstraint',
+    title: 'should log errors for a card constraint wider than the constrained cardinality',
+    description: 'An entry with a nested card constraint of 0..* on a field whose cardinality is 0..1.',
+    tags: ['invalid', 'constraint:card', 'constraint:path'],
+    expectedProblems: ['widened-cardinality'],
+    build: (specs) => addWidenedCardConstraint(specs, 'shr.test', true)
+  },
+  {
+    name: 'CodeConstraintOnString',
+    title: 'should log errors for a code constraint on a value that is not a concept',
+    description: 'An entry with a string value that has a code constraint.',
+    tags: ['invalid', 'constraint:code'],
+    expectedProblems: ['invalid-code-constraint'],
+    build: (specs) => addCodeConstraintOnString(specs, 'shr.test', true)
+  },
+  {
+    name: 'DuplicateIdentifiers',
+    title: 'should log errors for two elements with the same identifier',
+    description: 'Two different definitions of the simple entry, from two files.  Only the second is in ' +
+      'specs.dataElements.all, but both are in specs.dataElements.byFile.',
+    constructs: ['DataElement', 'IdentifiableValue', 'Concept'],
+    tags: ['invalid'],
+    expectedProblems: ['duplicate-identifier'],
+    build: (specs) => addDuplicateIdentifiers(specs, 'shr.test', true)
+  }
+].map(defineFixture);
+
+function defineFixture(fixture) {
+  const specs = () => {
+    const specs = new mdl.Specifications();
+    fixture.build(specs);
+    return specs;
+  };
+  let constructs;
+  const defined = Object.assign({}, fixture, {
+    optIn: !!fixture.optIn,
+    tags: Object.freeze(fixture.tags.slice()),
+    ignoredProblems: Object.freeze((fixture.ignoredProblems || []).slice()),
+    expectedProblems: Object.freeze((fixture.expectedProblems || []).slice()),
+    specs
+  });
+  // Derive the constructs from the specs on first use, so they can't drift from what the scenario builds
+  Object.defineProperty(defined, 'constructs', {
+    enumerable: true,
+    get: () => {
+      if (!constructs) {
+        constructs = Object.freeze(specsConstructs(specs()));
+      }
+      return constructs;
+    }
+  });
+  return Object.freeze(defined);
+}
+
+function fixtureNames() {
+  return FIXTURES.map(f => f.name);
+}
+
+// Returns the named fixture from FIXTURES or INVALID_FIXTURES
+function getFixture(name) {
+  return FIXTURES.concat(INVALID_FIXTURES).find(f => f.name === name);
+}
+
+function addGroup(specs, ns, otherNS, isEntry=false) {
+  let gr = new mdl.DataElement(id(ns, 'Group'), isEntry)
+    .withDescription('It is a group of elements')
+    .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+    .withConcept(new mdl.Concept('http://boo.org', 'far', 'Boofar'))
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1))
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'ElementValue')).withMinMax(0));
+  add(specs, gr);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addCodedElement(specs, ns);
+  addSimpleElement(specs, otherNS);
+  addForeignElementValue(specs, ns, otherNS);
+  addElementValue(specs, ns);
+  return gr;
+}
+
+function addGroupWithChoiceOfChoice(specs, ns, otherNS, isEntry=false) {
+  let gr = new mdl.DataElement(id(ns, 'GroupWithChoiceOfChoice'), isEntry)
+    .withValue(new mdl.ChoiceValue().withMinMax(0,2)
+      .withOption(new mdl.IdentifiableValue(id('shr.other.test', 'Simple')).withMinMax(1, 1))
+      .withOption(new mdl.ChoiceValue().withMinMax(1, 1)
+        .withOption(new mdl.IdentifiableValue(id('shr.test', 'ForeignElementValue')).withMinMax(1, 1))
+        .withOption(new mdl.IdentifiableValue(id('shr.test', 'ElementValue')).withMinMax(1, 1))
+      ))
+    .withDescription('It is a group of elements with a choice containing a choice')
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1));
+  add(specs, gr);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addCodedElement(specs, ns);
+  addSimpleElement(specs, otherNS);
+  addForeignElementValue(specs, ns, otherNS);
+  addElementValue(specs, ns);
+  return gr;
+}
+
+function addGroupPathClash(specs, ns, nsOther, isEntry=false) {
+  let gr = new mdl.DataElement(id(ns, 'GroupPathClash'), isEntry)
+    .withDescription('It is a group of elements with clashing names')
+    .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
+    .withField(new mdl.IdentifiableValue(id('shr.other.test', 'Simple')).withMinMax(0, 1));
+  // Add subelements
+  add(specs, gr);
+  addSimpleElement(specs, ns);
+  addSimpleElement(specs, nsOther);
+  return gr;
+}
+
+function addGroupDerivative(specs, ns, otherNS, isEntry=false) {
+  let gd = new mdl.DataElement(id(ns, 'GroupDerivative'), isEntry)
+    .withBasedOn(id('shr.test', 'Group'))
+    .withDescription('It is a derivative of a group of elements')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  add(specs, gd);
+  // Add subelements
+  addGroup(specs, ns, otherNS);
+  return gd;
+}
+
+function addSimpleElement(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'Simple'), isEntry)
+    .withDescription('It is a simple element')
+    .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  add(specs, de);
+  return de;
+}
+
+function addCodedElement(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'Coded'), isEntry)
+    .withDescription('It is a coded element')
+    .withValue(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+      .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded'))
+    );
+  add(specs, de);
+  return de;
+}
+
+function addSimpleReference(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'SimpleReference'), isEntry)
+    .withDescription('It is a reference to a simple element')
+    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1)); // Reference to Entry
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns, true);
+  return de;
+}
+
+function addReferenceChoice(specs, ns, otherNS, isEntry=false) {
+  let ch = new mdl.DataElement(id(ns, 'ReferenceChoice'), isEntry)
+      .withDescription('It is a reference to one of a few types')
+      .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
+          .withOption(new mdl.IdentifiableValue(id(otherNS, 'Simple')).withMinMax(1, 1)) // Reference to Entry
+          .withOption(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1)) // Reference to Entry
+      );
+  add(specs, ch);
+  // Add subelements
+  addSimpleElement(specs, otherNS, true);
+  addCodedElement(specs, ns, true);
+  return ch;
+}
+
+function addTwoDeepElementValue(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'TwoDeepElementValue'), isEntry)
+    .withDescription('It is an element with a two-deep element value')
+    .withValue(new mdl.IdentifiableValue(id(ns, 'ElementValue')).withMinMax(1, 1));
+  add(specs, de);
+  // Add subelements
+  addElementValue(specs, ns);
+  return de;
+}
+
+function addElementValue(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'ElementValue'), isEntry)
+    .withDescription('It is an element with an element value')
+    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1));
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  return de;
+}
+
+function addForeignElementValue(specs, ns, otherNS, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'ForeignElementValue'), isEntry)
+    .withDescription('It is an element with a foreign element value')
+    .withValue(new mdl.IdentifiableValue(id(otherNS, 'Simple')).withMinMax(1, 1));
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, otherNS);
+  return de;
+}
+
+function addChoice(specs, ns, isEntry=false) {
+  let ch = new mdl.DataElement(id(ns, 'Choice'), isEntry)
+    .withDescription('It is an element with a choice')
+    .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
+      .withOption(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1))
+      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/CodeChoice'))
+      )
+      .withOption(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(1, 1))
+    );
+  add(specs, ch);
+  // Add subelements
+  addCodedElement(specs, ns);
+  return ch;
+}
+
+function addChoiceOfChoice(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'ChoiceOfChoice'), isEntry)
+    .withDescription('It is an element with a choice containing a choice')
+    .withValue(new mdl.ChoiceValue().withMinMax(1, 1)
+      .withOption(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1))
+      .withOption(new mdl.ChoiceValue().withMinMax(1, 1)
+        .withOption(new mdl.IdentifiableValue(pid('integer')).withMinMax(1, 1))
+        .withOption(new mdl.IdentifiableValue(pid('decimal')).withMinMax(1, 1))
+      )
+      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/CodeChoice'))
+      )
+    );
+  add(specs, de);
+  return de;
+}
+
+function addTBDElement(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'NotDone'), isEntry)
+      .withDescription('It is an unfinished element')
+      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+      .withValue(new mdl.TBD('An undetermined value.').withMinMax(1, 1))
+      .withField(new mdl.TBD('An undetermined list field.').withMinMax(0))
+      .withField(new mdl.TBD('An undetermined singular field.').withMinMax(1, 1))
+      .withField(new mdl.TBD().withMinMax(1));
+  add(specs, de);
+  return de;
+}
+
+function addTBDElementDerivative(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'NotDoneDerivative'), isEntry)
+      .withBasedOn(new mdl.TBD('An undetermined parent.'))
+      .withBasedOn(new mdl.TBD())
+      .withBasedOn(id('shr.test', 'ValuelessElement'))
+      .withDescription('It is an unfinished derivative element')
+      .withConcept(new mdl.TBD('Not sure of the concept'))
+      .withValue(new mdl.TBD('An undetermined list value.').withMinMax(0))
+      .withField(new mdl.TBD('An undetermined singular field.').withMinMax(1, 1));
+  add(specs, de);
+  // Add subelements
+  add(specs, new mdl.DataElement(id(ns, 'ValuelessElement'))
+      .withDescription('An element with no value.')
+      .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1)));
+  addSimpleElement(specs, ns);
+  return de;
+}
+
+function addAbstractAndPlainElements(specs, ns, isEntry=false) {
+  let gr = new mdl.DataElement(id(ns, 'AbstractAndPlainGroup'), isEntry, true)
+      .withDescription('It is an abstract group of elements')
+      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+      .withField(new mdl.IdentifiableValue(id('shr.test', 'Simple')).withMinMax(1, 1))
+      .withField(new mdl.IdentifiableValue(id('shr.test', 'Plain')).withMinMax(1, 1));
+  add(specs, gr);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  add(specs, new mdl.DataElement(id(ns, 'Plain'))
+      .withDescription('It is not an entry element')
+      .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1)));
+  return gr;
+}
+
+function addNestedCardConstrainedElement(specs, ns, isEntry=false) {
+  let ov = new mdl.DataElement(id(ns, 'OptionalValue'))
+    .withDescription('An element with an optional value.')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(0, 1));
+  let of = new mdl.DataElement(id(ns, 'OptionalField'))
+    .withDescription('An element with an optional field.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'OptionalValue')).withMinMax(0, 1));
+  let de = new mdl.DataElement(id(ns, 'NestedCardConstraint'), isEntry)
+      .withDescription('It has a field with a nested card constraint.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'OptionalField'))
+        .withMinMax(1, 1)
+        .withConstraint(new mdl.CardConstraint(new mdl.Cardinality(1, 1), [id(ns, 'OptionalValue')])));
+  add(specs, ov, of, de);
+  return de;
+}
+
+function addNestedListCardConstrainedElements(specs, ns, isEntry=false) {
+  let ov = new mdl.DataElement(id(ns, 'OptionalList'))
+      .withDescription('An element with an optional list.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(0));
+  let of = new mdl.DataElement(id(ns, 'ListField'))
+      .withDescription('An element with a list field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'OptionalList')).withMinMax(1, 1));
+  let de = new mdl.DataElement(id(ns, 'NestedListCardConstraints'), isEntry)
+      .withDescription('It has a field with a nested card constraint on a list.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'ListField'))
+          .withMinMax(1, 1)
+          .withConstraint(new mdl.CardConstraint(new mdl.Cardinality(2, 10), [id(ns, 'OptionalList'), pid('string')])));
+  add(specs, ov, of, de);
+  return de;
+}
+
+function addTypeConstrainedElements(specs, ns, otherNS, isEntry=false) {
+  addSimpleChildElement(specs, ns);
+  let gd = new mdl.DataElement(id(ns, 'GroupDerivative'), isEntry)
+      .withBasedOn(id('shr.test', 'Group'))
+      .withDescription('It is a derivative of a group of elements with type constraints.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'))))
+      .withField(new mdl.IdentifiableValue(id(ns, 'ElementValue')).withMinMax(0).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), undefined, true)));
+  add(specs, gd);
+  // Add subelements
+  addGroup(specs, ns, otherNS);
+  return gd;
+}
+
+function addTypeConstrainedElementsWithPath(specs, ns, isEntry=false) {
+  let ef = new mdl.DataElement(id(ns, 'ElementField'))
+      .withDescription('It is an element with a field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1));
+  let td = new mdl.DataElement(id(ns, 'TwoDeepElementField'))
+      .withDescription('It is an element with a two-deep element field')
+      .withField(new mdl.IdentifiableValue(id(ns, 'ElementField')).withMinMax(1, 1));
+  let nf = new mdl.DataElement(id(ns, 'NestedField'))
+      .withDescription('It is an element with a nested field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1));
+  let cp = new mdl.DataElement(id(ns, 'ConstrainedPath'), isEntry)
+      .withBasedOn(id('shr.test', 'NestedField'))
+      .withDescription('It derives an element with a nested field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), [id(ns, 'ElementField'), id(ns, 'Simple')])));
+  let cpni = new mdl.DataElement(id(ns, 'ConstrainedPathNoInheritance'), isEntry)
+      .withDescription('It has a new field with a nested constraint.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepElementField')).withMinMax(0, 1).withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'), [id(ns, 'ElementField'), id(ns, 'Simple')])));
+  add(specs, ef, td, nf, cp, cpni);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleChildElement(specs, ns);
+  return cp;
+}
+
+function addTypeConstrainedChoices(specs, ns, isEntry=false) {
+  let tcc = new mdl.DataElement(id(ns, 'TypeConstrainedChoice'))
+    .withDescription('It is an element with a choice with a constraint.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'Choice')).withMinMax(1, 1)
+      .withConstraint(new mdl.TypeConstraint(pid('string')).withOnValue(true))
+    );
+  let cv = new mdl.DataElement(id(ns, 'ChoiceValue'))
+    .withDescription('It is an element with a choice value.')
+    .withValue(new mdl.IdentifiableValue(id(ns, 'Choice')).withMinMax(1, 1));
+  let td = new mdl.DataElement(id(ns, 'TwoDeepChoiceField'))
+    .withDescription('It is an element with a a field with a choice.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'ChoiceValue')).withMinMax(0, 1));
+  let tccp = new mdl.DataElement(id(ns, 'TypeConstrainedChoiceWithPath'), isEntry)
+    .withDescription('It is an element with a choice on a field with a constraint.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'TwoDeepChoiceField')).withMinMax(0, 1)
+      .withConstraint(new mdl.TypeConstraint(id(ns, 'Coded'), [id(ns, 'ChoiceValue'), id(ns, 'Choice')], true))
+    );
+  add(specs, tcc, cv, td, tccp);
+  // Add subelements
+  addChoice(specs, ns);
+  return tccp;
+}
+
+function addTypeConstrainedReference(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'TypeConstrainedReference'), isEntry)
+    .withBasedOn(id(ns, 'SimpleReference'))
+    .withDescription('It is an element a constraint on a reference.')
+    .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1) // Reference to Entry
+      .withConstraint(new mdl.TypeConstraint(id(ns, 'SimpleChild'))));
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns, true);
+  addSimpleChildElement(specs, ns, true);
+  addSimpleReference(specs, ns);
+  return de;
+}
+
+function addIncludesTypeConstraints(specs, ns, isEntry=false) {
+  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
+      .withBasedOn(id(ns, 'Simple'))
+      .withDescription('A derivative of the simple type.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let de = new mdl.DataElement(id(ns, 'IncludesTypesList'), isEntry)
+      .withDescription('An entry with a includes types constraints.')
+      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0)
+          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1)))
+          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2)))
+  );
+  add(specs, sc2);
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleChildElement(specs, ns);
+  return de;
+}
+
+function addIncludesTypeConstraintsWithZeroedOutType(specs, ns, isEntry=false) {
+  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
+      .withBasedOn(id(ns, 'Simple'))
+      .withDescription('A derivative of the simple type.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let de = new mdl.DataElement(id(ns, 'IncludesTypesListWithZeroedOutType'), isEntry)
+      .withDescription('An entry with a includes types constraints.')
+      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0)
+          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1)))
+          .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 0)))
+  );
+  add(specs, sc2);
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleChildElement(specs, ns);
+  return de;
+}
+
+function addOnValueIncludesTypeConstraints(specs, ns, isEntry=false) {
+  let evl = new mdl.DataElement(id(ns, 'ElementValueList'), false, false)
+      .withDescription('It is an element with a value that is a list of elements')
+      .withValue(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0));
+  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
+      .withBasedOn(id(ns, 'Simple'))
+      .withDescription('A derivative of the simple type.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let de = new mdl.DataElement(id(ns, 'OnValueIncludesTypeConstraints'), isEntry)
+      .withDescription('An entry with includes types constraints that are on the value of the field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'ElementValueList')).withMinMax(0, 1)
+        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1), [], true))
+        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2), [], true))
+  );
+  add(specs, evl, sc2, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleChildElement(specs, ns);
+  return de;
+}
+
+function addNestedIncludesTypeConstraints(specs, ns, isEntry=false) {
+  let efl = new mdl.DataElement(id(ns, 'ElementFieldList'), false, false)
+      .withDescription('It is an element with a field that is a list of elements')
+      .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(0));
+  let eflc = new mdl.DataElement(id(ns, 'ElementFieldListContainer'), false, false)
+      .withDescription('It is an element with a field that contains an element with a field that is a list of elements')
+      .withField(new mdl.IdentifiableValue(id(ns, 'ElementFieldList')).withMinMax(0,1));
+  let sc2 = new mdl.DataElement(id(ns, 'SimpleChild2'))
+      .withBasedOn(id(ns, 'Simple'))
+      .withDescription('A derivative of the simple type.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let de = new mdl.DataElement(id(ns, 'NestedIncludesTypeConstraints'), isEntry)
+      .withDescription('An entry with includes types constraints that are on a nested field.')
+      .withField(new mdl.IdentifiableValue(id(ns, 'ElementFieldListContainer')).withMinMax(0, 1)
+        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild'), new mdl.Cardinality(0, 1), [id(ns, 'ElementFieldList'), id(ns, 'Simple')], false))
+        .withConstraint(new mdl.IncludesTypeConstraint(id(ns, 'SimpleChild2'), new mdl.Cardinality(0, 2), [id(ns, 'ElementFieldList'), id(ns, 'Simple')], false))
+  );
+  add(specs, efl, eflc, sc2, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleChildElement(specs, ns);
+  return de;
+}
+
+function addIncludesCodeConstraints(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'IncludesCodesList'), isEntry)
+    .withDescription('An entry with a includes codes constraint.')
+    .withValue(new mdl.IdentifiableValue(pid('concept')).withMinMax(0)
+      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar')))
+      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://boo.org', 'far', 'Boofar')))
+    );
+  add(specs, de);
+  return de;
+}
+
+function addNestedIncludesCodeConstraints(specs, ns, isEntry=false) {
+  // NOTE: This tests a suspicious use case, as the includes code resolves to a 1..1 code.  It's the code's parent
+  // that is actually a list -- so the iteration happens one level up.  This test is here because it reflects a real
+  // use case in actual SHR definitions.
+  let de = new mdl.DataElement(id(ns, 'NestedIncludesCodes'), isEntry)
+    .withDescription('An entry with a nested includes codes constraint.')
+    .withValue(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0)
+      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar'), [pid('concept')]))
+      .withConstraint(new mdl.IncludesCodeConstraint(new mdl.Concept('http://boo.org', 'far', 'Boofar'), [pid('concept')]))
+    );
+  add(specs, de);
+  // Add subelements
+  addCodedElement(specs, ns);
+  return de;
+}
+
+function addValueSetConstraints(specs, ns, otherNS, isEntry=false) {
+  let gd = new mdl.DataElement(id(ns, 'NestedValueSetConstraints'), isEntry)
+      .withBasedOn(id('shr.test', 'Group'))
+      .withDescription('It has valueset constraints on a field.')
+      .withField(new mdl.IdentifiableValue(id('shr.test', 'Coded')).withMinMax(0, 1)
+        .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded2', [pid('concept')]).withBindingStrength(mdl.REQUIRED))
+  );
+  add(specs, gd);
+  // Add subelements
+  addGroup(specs, ns, otherNS);
+  return gd;
+}
+
+function addValueSetChoiceConstraints(specs, ns, isEntry=false) {
+  let cc = new mdl.DataElement(id(ns, 'CodedChoice'))
+    .withDescription('An element with a choice of code fields.')
+    .withValue(new mdl.ChoiceValue().withMinMax(0, 1)
+      .withOption(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1))
+      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1))
+    );
+  let de = new mdl.DataElement(id(ns, 'ChoiceValueSetConstraint'), isEntry)
+    .withDescription('It has valueset constraints on a choice field.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'CodedChoice')).withMinMax(0, 1)
+      .withConstraint(new mdl.ValueSetConstraint('http://standardhealthrecord.org/test/vs/Coded2', [pid('concept')]).withBindingStrength(mdl.PREFERRED))
+    );
+  add(specs, cc, de);
+  // Add subelements
+  addCodedElement(specs, ns);
+  return de;
+}
+
+function addConstConstraints(specs, ns, otherNS, isEntry=false) {
+  let bl = new mdl.DataElement(id(ns, 'Bool'), false)
+    .withDescription('A boolean element.')
+      .withValue(new mdl.IdentifiableValue(pid('boolean')).withMinMax(0, 1));
+  let cc = new mdl.DataElement(id(ns, 'BooleanAndCodeConstraints'), isEntry)
+    .withBasedOn(id('shr.test', 'Group'))
+    .withDescription('It has boolean and code constraints.')
+    .withValue(new mdl.IdentifiableValue(pid('boolean')).withMinMax(1, 1).withConstraint(new mdl.BooleanConstraint(true)))
+    .withField(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(0, 1)
+      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar'), [pid('concept')])))
+    .withField(new mdl.IdentifiableValue(id(ns, 'Bool')).withMinMax(0, 1)
+      .withConstraint(new mdl.BooleanConstraint(false)));
+
+  add(specs, bl, cc);
+  // Add subelements
+  addGroup(specs, ns, otherNS);
+  return cc;
+}
+
+function addFixedCodeExtravaganza(specs, ns, isEntry=false) {
+  // NOTE: This is considerably less interesting w/ the elimination of Coding and CodeableConcept
+  const fce = new mdl.DataElement(id(ns, 'FixedCodeExtravaganza'), isEntry)
+    .withDescription('An element with all sorts of fixed codes.')
+    .withValue(new mdl.ChoiceValue().withMinMax(0, 1)
+      .withOption(new mdl.IdentifiableValue(pid('Coded')).withMinMax(1, 1)
+        .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo1.org', 'bar1', 'Foobar1'), [pid('concept')]))
+      )
+      .withOption(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+        .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo2.org', 'bar2', 'Foobar2')))
+      )
+    )
+    .withField(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo3.org', 'bar3', 'Foobar3')))
+    )
+    .withField(new mdl.IdentifiableValue(id(ns, 'Coded')).withMinMax(1, 1)
+      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo4.org', 'bar4', 'Foobar4'), [pid('concept')]))
+    );
+  add(specs, fce);
+  // Add subelements
+  addCodedElement(specs, ns);
+  return fce;
+}
+
+function addSimpleChildElement(specs, ns, isEntry=false) {
+  let sc1 = new mdl.DataElement(id(ns, 'SimpleChild'), isEntry)
+      .withBasedOn(id(ns, 'Simple'))
+      .withDescription('A derivative of the simple type.')
+      .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  add(specs, sc1);
+}
+
+function addCodedValueSet(specs, ns, isEntry=false) {
+  const cs = addCodedCodeSystem(specs, ns);
+  const vs = new mdl.ValueSet(id(ns, 'Coded'), 'http://standardhealthrecord.org/test/vs/Coded')
+    .withDescription('It is a value set of included codes')
+    .withValueSetIncludesCodeRule(new mdl.Concept(cs.url, 'code1', 'Code 1'))
+    .withValueSetIncludesCodeRule(new mdl.Concept(cs.url, 'code2', 'Code 2'));
+  add(specs, vs);
+  // Add the element bound to the value set
+  addCodedElement(specs, ns, isEntry);
+  return vs;
+}
+
+function addCodeSystemValueSet(specs, ns, isEntry=false) {
+  const cs = addCodedCodeSystem(specs, ns);
+  const vs = new mdl.ValueSet(id(ns, 'CodeChoice'), 'http://standardhealthrecord.org/test/vs/CodeChoice')
+    .withDescription('It is a value set including a whole code system')
+    .withValueSetIncludesFromCodeSystemRule(cs.url);
+  add(specs, vs);
+  // Add the element bound to the value set
+  addChoice(specs, ns, isEntry);
+  return vs;
+}
+
+function addDescendantsValueSet(specs, ns, isEntry=false) {
+  const sct = 'http://snomed.info/sct';
+  const vs = new mdl.ValueSet(id(ns, 'Coded2'), 'http://standardhealthrecord.org/test/vs/Coded2')
+    .withDescription('It is a value set with descendant rules')
+    .withValueSetIncludesDescendentsRule(new mdl.Concept(sct, '404684003', 'Clinical finding'))
+    .withValueSetExcludesDescendentsRule(new mdl.Concept(sct, '118234003', 'Finding by site'))
+    .withValueSetIncludesFromCodeRule(new mdl.Concept(sct, '71388002', 'Procedure'));
+  add(specs, vs);
+  // Add the element bound to the value set
+  addValueSetChoiceConstraints(specs, ns, isEntry);
+  return vs;
+}
+
+function addForeignValueSet(specs, ns, otherNS, isEntry=false) {
+  const cs = addCodedCodeSystem(specs, ns);
+  const vs = new mdl.ValueSet(id(otherNS, 'Foreign'), 'http://standardhealthrecord.org/other/test/vs/Foreign')
+    .withDescription('It is a value set in a different namespace than its code system')
+    .withValueSetIncludesCodeRule(new mdl.Concept(cs.url, 'code1', 'Code 1'));
+  let de = new mdl.DataElement(id(ns, 'ForeignCoded'), isEntry)
+    .withDescription('It is a coded element bound to a value set in a different namespace')
+    .withValue(new mdl.IdentifiableValue(pid('concept')).withMinMax(1, 1)
+      .withConstraint(new mdl.ValueSetConstraint(vs.url).withBindingStrength(mdl.EXTENSIBLE))
+    );
+  add(specs, vs, de);
+  return vs;
+}
+
+function addSimpleMapping(specs, ns, isEntry=false) {
+  const map = new mdl.ElementMapping(id(ns, 'Simple'), MAPPING_TARGET, 'Observation')
+    .withFieldMappingRule([pid('string')], 'valueString');
+  add(specs, map);
+  // Add the mapped element
+  addSimpleElement(specs, ns, isEntry);
+  return map;
+}
+
+function addCodedMapping(specs, ns, isEntry=false) {
+  const map = new mdl.ElementMapping(id(ns, 'Coded'), MAPPING_TARGET, 'Observation')
+    .withFieldMappingRule([pid('concept')], 'code')
+    .withFixedValueMappingRule('status', '#final');
+  add(specs, map);
+  // Add the mapped element
+  addCodedElement(specs, ns, isEntry);
+  return map;
+}
+
+function addGroupMapping(specs, ns, otherNS, isEntry=false) {
+  const map = new mdl.ElementMapping(id(ns, 'Group'), MAPPING_TARGET, 'Observation')
+    .withFieldMappingRule([id('shr.test', 'Simple')], 'component (slice on = code; slice strategy = includes)')
+    .withFieldMappingRule([id('shr.test', 'Coded')], 'component (slice on = code; slice strategy = includes)')
+    .withFieldMappingRule([id('shr.test', 'ElementValue')], 'focus')
+    .withCardinalityMappingRule('component', new mdl.Cardinality(1, 2));
+  add(specs, map);
+  // Add the mapped element
+  addGroup(specs, ns, otherNS, isEntry);
+  return map;
+}
+
+function addChoiceOfChoiceMapping(specs, ns, isEntry=false) {
+  const map = new mdl.ElementMapping(id(ns, 'ChoiceOfChoice'), MAPPING_TARGET, 'Observation')
+    .withFieldMappingRule([pid('string')], 'valueString')
+    .withFieldMappingRule([pid('integer')], 'valueInteger')
+    .withFieldMappingRule([pid('decimal')], 'valueQuantity.value')
+    .withFieldMappingRule([pid('concept')], 'valueCodeableConcept');
+  add(specs, map);
+  // Add the mapped element
+  addChoiceOfChoice(specs, ns, isEntry);
+  return map;
+}
+
+function addGroupDerivativeMapping(specs, ns, otherNS, isEntry=false) {
+  const groupMap = addGroupMapping(specs, ns, otherNS);
+  // Inherited mappings are copies of the parent's rules, marked with where they came from
+  const map = new mdl.ElementMapping(id(ns, 'GroupDerivative'), MAPPING_TARGET, groupMap.targetItem)
+    .withInheritedFrom(groupMap.identifier)
+    .withInheritance(mdl.INHERITED);
+  for (const rule of groupMap.rules) {
+    map.addRule(rule.clone().withLastModifiedBy(groupMap.identifier));
+  }
+  add(specs, map);
+  // Add the mapped element
+  addGroupDerivative(specs, ns, otherNS, isEntry);
+  return map;
+}
+
+function addGroupContentProfile(specs, ns, otherNS, isEntry=false) {
+  const cp = new mdl.ContentProfile(id(ns, 'Group'))
+    .withRule(cpRule([id('shr.test', 'Simple')]))
+    .withRule(cpRule([id('shr.test', 'Coded')]))
+    .withRule(cpRule([id('shr.test', 'ElementValue'), id('shr.test', 'Simple')]))
+    .withRule(cpRule([id('shr.test', 'ElementValue')], false, true));
+  add(specs, cp);
+  // Add the profiled element
+  addGroup(specs, ns, otherNS, isEntry);
+  return cp;
+}
+
+function addNestedCardConstraintContentProfile(specs, ns, isEntry=false) {
+  const cp = new mdl.ContentProfile(id(ns, 'NestedCardConstraint'))
+    .withRule(cpRule([id(ns, 'OptionalField'), id(ns, 'OptionalValue')]));
+  add(specs, cp);
+  // Add the profiled element
+  addNestedCardConstrainedElement(specs, ns, isEntry);
+  return cp;
+}
+
+function addTypeConstraintsWithPathContentProfile(specs, ns, isEntry=false) {
+  // TwoDeepElementField is inherited from NestedField
+  const cp = new mdl.ContentProfile(id(ns, 'ConstrainedPath'))
+    .withRule(cpRule([id(ns, 'TwoDeepElementField')]))
+    .withRule(cpRule([id(ns, 'TwoDeepElementField'), id(ns, 'ElementField'), id(ns, 'Simple')]));
+  add(specs, cp);
+  // Add the profiled elements
+  addTypeConstrainedElementsWithPath(specs, ns, isEntry);
+  return cp;
+}
+
+function addGroupWithChoiceOfChoiceContentProfile(specs, ns, otherNS, isEntry=false) {
+  const cp = new mdl.ContentProfile(id(ns, 'GroupWithChoiceOfChoice'))
+    .withRule(cpRule([id('shr.test', 'ForeignElementValue')]))
+    .withRule(cpRule([id('shr.test', 'ElementValue'), id('shr.test', 'Simple')]))
+    .withRule(cpRule([id('shr.test', 'Coded')], false, true));
+  add(specs, cp);
+  // Add the profiled element
+  addGroupWithChoiceOfChoice(specs, ns, otherNS, isEntry);
+  return cp;
+}
+
+function addNamespaceDescriptions(specs, ns, otherNS, isEntry=false) {
+  addNamespace(specs, ns, 'It is the primary test namespace');
+  addNamespace(specs, otherNS, 'It is a secondary test namespace');
+  return addForeignElementValue(specs, ns, otherNS, isEntry);
+}
+
+function addTransitiveNamespaces(specs, ns, otherNS, thirdNS, isEntry=false) {
+  addNamespace(specs, ns, 'It is a namespace that depends on another');
+  addNamespace(specs, otherNS, 'It is a namespace that depends on a third');
+  addNamespace(specs, thirdNS, 'It is a namespace with no dependencies');
+  let root = new mdl.DataElement(id(ns, 'TransitiveRoot'), isEntry)
+    .withDescription('It is an element with a field from another namespace')
+    .withField(new mdl.IdentifiableValue(id(otherNS, 'TransitiveLink')).withMinMax(1, 1));
+  let link = new mdl.DataElement(id(otherNS, 'TransitiveLink'))
+    .withDescription('It is an element with a value from a third namespace')
+    .withValue(new mdl.IdentifiableValue(id(thirdNS, 'Simple')).withMinMax(1, 1));
+  add(specs, root, link);
+  // Add subelements
+  addSimpleElement(specs, thirdNS);
+  return root;
+}
+
+function addSameNameAcrossNamespaces(specs, ns, otherNS, thirdNS, isEntry=false) {
+  let gr = new mdl.DataElement(id(ns, 'MultiNamespaceGroup'), isEntry)
+    .withDescription('It is a group of same-named elements from several namespaces')
+    .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1))
+    .withField(new mdl.IdentifiableValue(id(otherNS, 'Simple')).withMinMax(0, 1))
+    .withField(new mdl.IdentifiableValue(id(thirdNS, 'Simple')).withMinMax(0));
+  add(specs, gr);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addSimpleElement(specs, otherNS);
+  addSimpleElement(specs, thirdNS);
+  return gr;
+}
+
+function addEmptyNamespace(specs, ns, emptyNS, isEntry=false) {
+  addNamespace(specs, emptyNS, 'It is a namespace with no elements');
+  return addSimpleElement(specs, ns, isEntry);
+}
+
+function addCircularBasedOn(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'CircularEntry'), isEntry)
+    .withBasedOn(id(ns, 'CircularBase'))
+    .withDescription('It is based on an element that is based on it')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let base = new mdl.DataElement(id(ns, 'CircularBase'))
+    .withBasedOn(id(ns, 'CircularEntry'))
+    .withDescription('It is based on the element that is based on it')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  add(specs, de, base);
+  return de;
+}
+
+function addUndefinedReference(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'UndefinedReference'), isEntry)
+    .withDescription('It has a field whose element is never defined')
+    .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1))
+    .withField(new mdl.IdentifiableValue(id(ns, 'Undefined')).withMinMax(0, 1));
+  add(specs, de);
+  // Add subelements (all but the undefined one)
+  addSimpleElement(specs, ns);
+  return de;
+}
+
+function addNonSubtypeTypeConstraint(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'NonSubtypeConstraint'), isEntry)
+    .withDescription('It constrains a field to a type that is not based on the field\'s type')
+    .withField(new mdl.IdentifiableValue(id(ns, 'Simple')).withMinMax(1, 1)
+      .withConstraint(new mdl.TypeConstraint(id(ns, 'Coded'))));
+  add(specs, de);
+  // Add subelements
+  addSimpleElement(specs, ns);
+  addCodedElement(specs, ns);
+  return de;
+}
+
+function addWidenedCardConstraint(specs, ns, isEntry=false) {
+  let ov = new mdl.DataElement(id(ns, 'OptionalValue'))
+    .withDescription('An element with an optional value.')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(0, 1));
+  let of = new mdl.DataElement(id(ns, 'OptionalField'))
+    .withDescription('An element with an optional field.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'OptionalValue')).withMinMax(0, 1));
+  let de = new mdl.DataElement(id(ns, 'WidenedCardConstraint'), isEntry)
+    .withDescription('It has a field with a nested card constraint that widens the cardinality.')
+    .withField(new mdl.IdentifiableValue(id(ns, 'OptionalField'))
+      .withMinMax(1, 1)
+      .withConstraint(new mdl.CardConstraint(new mdl.Cardinality(0), [id(ns, 'OptionalValue')])));
+  add(specs, ov, of, de);
+  return de;
+}
+
+function addCodeConstraintOnString(specs, ns, isEntry=false) {
+  let de = new mdl.DataElement(id(ns, 'CodeOnString'), isEntry)
+    .withDescription('It is a string with a code constraint')
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1)
+      .withConstraint(new mdl.CodeConstraint(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))));
+  add(specs, de);
+  return de;
+}
+
+function addDuplicateIdentifiers(specs, ns, isEntry=false) {
+  addNamespace(specs, ns);
+  let de = new mdl.DataElement(id(ns, 'Simple'), isEntry)
+    .withDescription('It is a simple element')
+    .withConcept(new mdl.Concept('http://foo.org', 'bar', 'Foobar'))
+    .withValue(new mdl.IdentifiableValue(pid('string')).withMinMax(1, 1));
+  let dup = new mdl.DataElement(id(ns, 'Simple'), isEntry)
+    .withDescription('It is a different definition of the simple element')
+    .withValue(new mdl.IdentifiableValue(pid('integer')).withMinMax(0, 1));
+  // add() doesn't take a file, so add the elements directly to record where each was defined
+  specs.dataElements.add(de, 'Simple.txt');
+  specs.dataElements.add(dup, 'Duplicate.txt');
+  return dup;
+}
+
+function cpRule(path, mustSupport=true, noProfile=false) {
+  const rule = new mdl.ContentProfileRule(path).withMustSupport(mustSupport);
+  if (noProfile) {
+    // noProfile has no with- function (and isn't in older versions of shr-models), so set it directly
+    rule.noProfile = noProfile;
+  }
+  return rule;
+}
+
+function addCodedCodeSystem(specs, ns) {
+  const cs = new mdl.CodeSystem(id(ns, 'Coded'), 'http://standardhealthrecord.org/test/cs/Coded')
+    .withDescription('It is a code system')
+    .withCode(new mdl.Concept('http://standardhealthrecord.org/test/cs/Coded', 'code1', 'Code 1'))
+    .withCode(new mdl.Concept('http://standardhealthrecord.org/test/cs/Coded', 'code2', 'Code 2'))
+    .withCode(new mdl.Concept('http://standardhealthrecord.org/test/cs/Coded', 'code3', 'Code 3'));
+  add(specs, cs);
+  return cs;
+}
+
+// Adds data elements, value sets, code systems, mappings, and content profiles to the specifications, along with their
+// namespaces (unless the namespaces were already added, e.g. with a description)
+function add(specs, ...items) {
+  for (const item of items) {
+    if (!specs.namespaces.find(item.identifier.namespace)) {
+      specs.namespaces.add(new mdl.Namespace(item.identifier.namespace));
+    }
+    if (item instanceof mdl.ValueSet) {
+      specs.valueSets.add(item);
+    } else if (item instanceof mdl.CodeSystem) {
+      specs.codeSystems.add(item);
+    } else if (item instanceof mdl.ElementMapping) {
+      specs.maps.add(item);
+    } else if (item instanceof mdl.ContentProfile) {
+      specs.contentProfiles.add(item);
+    } else {
+      specs.dataElements.add(item);
+    }
+  }
+}
+
+function addNamespace(specs, namespace, description) {
+  const ns = new mdl.Namespace(namespace, description);
+  specs.namespaces.add(ns);
+  return ns;
+}
+
+function id(namespace, name) {
+  return new mdl.Identifier(namespace, name);
+}
+
+function pid(name) {
+  return new mdl.PrimitiveIdentifier(name);
+}
+
+module.exports = {
+  FIXTURES,
+  INVALID_FIXTURES,
+  MAPPING_TARGET,
+  fixtureNames,
+  getFixture,
+  addSimpleElement,
+  addCodedElement,
+  addSimpleReference,
+  addReferenceChoice,
+  addElementValue,
+  addForeignElementValue,
+  addTwoDeepElementValue,
+  addChoice,
+  addChoiceOfChoice,
+  addGroup,
+  addGroupWithChoiceOfChoice,
+  addGroupPathClash,
+  addGroupDerivative,
+  addTBDElement,
+  addTBDElementDerivative,
+  addAbstractAndPlainElements,
+  addNestedCardConstrainedElement,
+  addNestedListCardConstrainedElements,
+  addTypeConstrainedElements,
+  addTypeConstrainedElementsWithPath,
+  addTypeConstrainedChoices,
+  addTypeConstrainedReference,
+  addIncludesTypeConstraints,
+  addOnValueIncludesTypeConstraints,
+  addNestedIncludesTypeConstraints,
+  addIncludesTypeConstraintsWithZeroedOutType,
+  addIncludesCodeConstraints,
+  addNestedIncludesCodeConstraints,
+  addValueSetConstraints,
+  addValueSetChoiceConstraints,
+  addConstConstraints,
+  addFixedCodeExtravaganza,
+  addCodedValueSet,
+  addCodeSystemValueSet,
+  addDescendantsValueSet,
+  addForeignValueSet,
+  addCodedCodeSystem,
+  addSimpleMapping,
+  addCodedMapping,
+  addGroupMapping,
+  addChoiceOfChoiceMapping,
+  addGroupDerivativeMapping,
+  addGroupContentProfile,
+  addNestedCardConstraintContentProfile,
+  addTypeConstraintsWithPathContentProfile,
+  addGroupWithChoiceOfChoiceContentProfile,
+  addNamespaceDescriptions,
+  addTransitiveNamespaces,
+  addSameNameAcrossNamespaces,
+  addEmptyNamespace,
+  addCircularBasedOn,
+  addUndefinedReference,
+  addNonSubtypeTypeConstraint,
+  addWidenedCardConstraint,
+  addCodeConstraintOnString,
+  addDuplicateIdentifiers,
+  addSimpleChildElement,
+  add,
+  addNamespace,
+  id,
+  pid
+};
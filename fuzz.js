@@ -0,0 +1,449 @@
+const {AssertionError} = require('chai');
+const mdl = require('shr-models');
+const err = require('./errors.js');
+const {SpecificationsBuilder} = require('./builder.js');
+const {formatSpecs} = require('./canonical.js');
+const {runAsync} = require('./suite.js');
+
+// Set this environment variable (e.g. SHR_FUZZ_SEED=42) to run commonFuzzTests for just that seed
+const SEED_ENV_VAR = 'SHR_FUZZ_SEED';
+
+// The default generator options:
+// - elements:              the number of data elements to generate
+// - namespaces:            the number of namespaces the elements are spread across
+// - depth:                 the maximum length of a basedOn chain
+// - choiceDepth:           the maximum nesting of choices within choices (0 for no choices)
+// - maxFields:             the maximum number of fields per element
+// - listProbability:       the probability that a value or field is a list (e.g. 0..* or 1..*)
+// - constraintProbability: the probability that a value or field is constrained
+// - constraints:           the relative weight of each kind of constraint (0 to never generate that kind)
+const DEFAULT_GENERATOR_OPTIONS = {
+  elements: 12,
+  namespaces: 2,
+  depth: 3,
+  choiceDepth: 2,
+  maxFields: 4,
+  listProbability: 0.3,
+  constraintProbability: 0.4,
+  constraints: { type: 1, includesType: 1, valueSet: 1, code: 1, includesCode: 1, boolean: 1, card: 1 }
+};
+
+// The primitives generated values and fields can have
+const PRIMITIVES = ['string', 'concept', 'boolean', 'integer', 'decimal', 'dateTime'];
+
+// A small, fast, seeded pseudo-random number generator (mulberry32), so that a seed always generates the same
+// Specifications
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    // an integer from min to max, inclusive
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: (probability=0.5) => next() < probability,
+    pick: (array) => array[Math.floor(next() * array.length)],
+    // picks a key of an object of weights, with a probability proportional to its weight
+    weighted: (weights) => {
+      const keys = Object.keys(weights).filter(k => weights[k] > 0);
+      let r = next() * keys.reduce((sum, k) => sum + weights[k], 0);
+      return keys.find(k => (r -= weights[k]) < 0) || keys[keys.length - 1];
+    }
+  };
+}
+
+// Generates a list of element declarations from a seed.  Each declaration is a SpecificationsBuilder element
+// declaration plus the element's fully qualified name.  Elements only refer to elements generated before them, so
+// the result never has cycles or undefined references.
+function generateDeclarations(seed, options={}) {
+  const opts = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+  opts.constraints = Object.assign({}, DEFAULT_GENERATOR_OPTIONS.constraints, options.constraints);
+  const random = createRandom(seed);
+  const namespaces = [];
+  for (let i=0; i < Math.max(1, opts.namespaces); i++) {
+    namespaces.push(i === 0 ? 'shr.fuzz' : `shr.fuzz.ns${i}`);
+  }
+
+  const declarations = [];
+  for (let i=0; i < opts.elements; i++) {
+    const decl = {
+      name: `${random.pick(namespaces)}.E${i}`,
+      entry: random.bool(),
+      abstract: random.bool(0.1),
+      description: `Generated element ${i}`
+    };
+    const ancestors = ancestorsOf(declarations);
+    const parents = declarations.filter(d => ancestors.get(d.name).length < opts.depth);
+    const parent = parents.length && random.bool(0.3) ? random.pick(parents) : undefined;
+    if (parent) {
+      decl.basedOn = [parent.name];
+      if (parent.value) {
+        // Keep the parent's value, so the child stays compatible with it
+        decl.value = withoutConstraints(parent.value);
+      }
+    } else if (random.bool(0.7)) {
+      decl.value = generateValue(random, opts, declarations, 0);
+    }
+    const used = new Set();
+    const fieldCount = random.int(0, opts.maxFields);
+    for (let f=0; f < fieldCount; f++) {
+      const type = declarations.length && random.bool(0.8) ? random.pick(declarations).name : random.pick(PRIMITIVES);
+      if (!used.has(type)) {
+        used.add(type);
+        decl.fields = (decl.fields || []).concat({ type, card: generateCard(random, opts) });
+      }
+    }
+    for (const value of [decl.value, ...(decl.fields || [])]) {
+      if (value && value.type && random.bool(opts.constraintProbability)) {
+        const constraint = generateConstraint(random, opts, declarations, ancestors, value);
+        if (constraint) {
+          value.constraints = (value.constraints || []).concat(constraint);
+        }
+      }
+    }
+    declarations.push(decl);
+  }
+  return declarations;
+}
+
+function generateValue(random, opts, declarations, choiceLevel) {
+  if (choiceLevel < opts.choiceDepth && random.bool(0.25)) {
+    const options = [];
+    const used = new Set();
+    const optionCount = random.int(2, 3);
+    for (let i=0; i < optionCount; i++) {
+      const option = generateValue(random, opts, declarations, choiceLevel + 1);
+      const key = option.type || JSON.stringify(option);
+      if (!used.has(key)) {
+        used.add(key);
+        // Choice options are always single values
+        options.push(Object.assign(option, { card: '1..1' }));
+      }
+    }
+    return { choice: options, card: generateCard(random, opts) };
+  }
+  const type = declarations.length && random.bool(0.4) ? random.pick(declarations).name : random.pick(PRIMITIVES);
+  return { type, card: generateCard(random, opts) };
+}
+
+function generateCard(random, opts) {
+  return random.bool(opts.listProbability) ? random.pick(['0..*', '1..*', '0..3']) : random.pick(['0..1', '1..1']);
+}
+
+// Returns a constraint that is valid on the value, or undefined if the randomly chosen kind doesn't apply to it
+function generateConstraint(random, opts, declarations, ancestors, value) {
+  const element = declarations.find(d => d.name === value.type);
+  // Primitive constraints can apply directly to a primitive value, or to an element's primitive value through a path
+  const primitive = element ? element.value && element.value.type : value.type;
+  const path = element ? [primitive] : undefined;
+  const isList = /\.\.(\*|[2-9])/.test(value.card);
+  const descendants = declarations.filter(d => ancestors.get(d.name).includes(value.type)).map(d => d.name);
+  switch (random.weighted(opts.constraints)) {
+  case 'type': {
+    if (descendants.length) {
+      return { type: random.pick(descendants) };
+    }
+    const choice = element && element.value && element.value.choice;
+    const primitiveOptions = choice ? choice.filter(o => PRIMITIVES.includes(o.type)).map(o => o.type) : [];
+    return primitiveOptions.length ? { type: random.pick(primitiveOptions), onValue: true } : undefined;
+  }
+  case 'includesType':
+    return isList && descendants.length ? { includesType: random.pick(descendants), card: '0..1' } : undefined;
+  case 'valueSet':
+    if (primitive === 'concept') {
+      const strength = random.pick(['required', 'extensible', 'preferred', 'example']);
+      return { valueSet: `http://standardhealthrecord.org/fuzz/vs/VS${random.int(1, 5)}`, strength, path };
+    }
+    return;
+  case 'code':
+    return primitive === 'concept' ? { code: generateConcept(random), path } : undefined;
+  case 'includesCode':
+    return primitive === 'concept' && isList && !element ? { includesCode: generateConcept(random) } : undefined;
+  case 'boolean':
+    return primitive === 'boolean' ? { boolean: random.bool(), path } : undefined;
+  case 'card': {
+    const [min, max] = value.card.split('..');
+    if (max === '*' || parseInt(max, 10) > parseInt(min, 10) + 1) {
+      return { card: `${parseInt(min, 10) + 1}..${max}` };
+    }
+  }
+  }
+}
+
+function generateConcept(random) {
+  const code = random.int(1, 99);
+  return ['http://standardhealthrecord.org/fuzz/cs', `code${code}`, `Code ${code}`];
+}
+
+// Returns a map of each declared element's name to its basedOn ancestors, nearest first
+function ancestorsOf(declarations) {
+  const ancestors = new Map();
+  for (const decl of declarations) {
+    const list = [];
+    for (const parent of decl.basedOn || []) {
+      if (ancestors.has(parent)) {
+        list.push(parent, ...ancestors.get(parent));
+      }
+    }
+    ancestors.set(decl.name, list);
+  }
+  return ancestors;
+}
+
+function withoutConstraints(value) {
+  const copy = Object.assign({}, value);
+  delete copy.constraints;
+  if (copy.choice) {
+    copy.choice = copy.choice.map(withoutConstraints);
+  }
+  return copy;
+}
+
+// Builds an mdl.Specifications from generated declarations
+function buildSpecs(declarations) {
+  const builder = new SpecificationsBuilder();
+  for (const decl of declarations) {
+    const declaration = Object.assign({}, decl);
+    delete declaration.name;
+    builder.element(decl.name, declaration);
+  }
+  return builder.build();
+}
+
+function generateSpecs(seed, options={}) {
+  return buildSpecs(generateDeclarations(seed, options));
+}
+
+// Returns a new mdl.Specifications with the same items as specs, but with its namespaces and data elements added in an
+// order shuffled by the seed.  Value sets, code systems, content profiles, and mappings are added in their original
+// order.  The items are shared with specs, not copied.
+function shuffleSpecs(specs, seed) {
+  const random = createRandom(seed);
+  const shuffled = new mdl.Specifications();
+  for (const ns of shuffle(random, specs.namespaces.all)) {
+    shuffled.namespaces.add(ns);
+  }
+  // Keep the file each element was defined in
+  const files = new Map();
+  for (const file of specs.dataElements.files) {
+    for (const de of specs.dataElements.byFile(file)) {
+      files.set(de, file);
+    }
+  }
+  for (const de of shuffle(random, specs.dataElements.all)) {
+    shuffled.dataElements.add(de, files.get(de));
+  }
+  specs.valueSets.all.forEach(vs => shuffled.valueSets.add(vs));
+  specs.codeSystems.all.forEach(cs => shuffled.codeSystems.add(cs));
+  specs.contentProfiles.all.forEach(cp => shuffled.contentProfiles.add(cp));
+  for (const target of specs.maps.targets) {
+    specs.maps.byTarget(target).forEach(mapping => shuffled.maps.add(mapping));
+  }
+  return shuffled;
+}
+
+// Returns a shuffled copy of the array (Fisher-Yates)
+function shuffle(random, array) {
+  const copy = array.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = random.int(0, i);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Shrinks failing declarations to a smaller set that still fails, by repeatedly removing elements, values, fields,
+// basedOn, and constraints while fails(declarations) still returns (or resolves to) true.  References to removed
+// elements are removed along with them, so each candidate is still valid.  Resolves to the smallest failing
+// declarations found within maxAttempts calls to fails.
+function shrinkDeclarations(declarations, fails, maxAttempts=1000) {
+  let attempts = 0;
+  const shrinkFrom = (current) => {
+    const candidates = reductions(current);
+    const tryNext = (i) => {
+      if (i >= candidates.length || attempts >= maxAttempts) {
+        return Promise.resolve(current);
+      }
+      attempts++;
+      const candidate = repair(candidates[i]);
+      return runAsync(fails, candidate).catch(() => false).then((failed) => {
+        return failed ? shrinkFrom(candidate) : tryNext(i + 1);
+      });
+    };
+    return tryNext(0);
+  };
+  return shrinkFrom(declarations);
+}
+
+// Returns the declarations with one part removed, biggest parts first
+function reductions(declarations) {
+  const candidates = [];
+  const replace = (index, changes) => declarations.map((d, i) => i === index ? Object.assign({}, d, changes) : d);
+  for (let i=declarations.length - 1; i >= 0; i--) {
+    candidates.push(declarations.filter((d, j) => j !== i));
+  }
+  declarations.forEach((decl, i) => {
+    if (decl.value) {
+      candidates.push(replace(i, { value: undefined }));
+    }
+    (decl.fields || []).forEach((field, f) => {
+      candidates.push(replace(i, { fields: decl.fields.filter((x, j) => j !== f) }));
+    });
+    if (decl.basedOn) {
+      candidates.push(replace(i, { basedOn: undefined }));
+    }
+    const values = [['value', decl.value]].concat((decl.fields || []).map((f, j) => [j, f]));
+    for (const [key, value] of values) {
+      (value && value.constraints || []).forEach((c, k) => {
+        const reduced = Object.assign({}, value, { constraints: value.constraints.filter((x, j) => j !== k) });
+        if (key === 'value') {
+          candidates.push(replace(i, { value: reduced }));
+        } else {
+          candidates.push(replace(i, { fields: decl.fields.map((f, j) => j === key ? reduced : f) }));
+        }
+      });
+    }
+  });
+  return candidates;
+}
+
+// Removes everything that refers to an element that is no longer declared, or a type constraint whose type no longer
+// derives from the constrained type
+function repair(declarations) {
+  const names = new Set(declarations.map(d => d.name));
+  const ancestors = ancestorsOf(declarations);
+  const valueTypes = new Map(declarations.map(d => [d.name, d.value && d.value.type]));
+  const isDefined = (type) => !type.includes('.') || names.has(type);
+  const repairValue = (value) => {
+    if (!value) {
+      return undefined;
+    } else if (value.choice) {
+      const options = value.choice.map(repairValue).filter(o => o);
+      return options.length ? Object.assign({}, value, { choice: options }) : undefined;
+    } else if (!isDefined(value.type)) {
+      return undefined;
+    }
+    const constraints = (value.constraints || []).filter(c => {
+      const isA = c.type || c.includesType;
+      if (isA && isA.includes('.')) {
+        return names.has(isA) && ancestors.get(isA).includes(value.type);
+      }
+      // A path constraint reaches through the element's primitive value, so that value must still be there
+      return !c.path || valueTypes.get(value.type) === c.path[0];
+    });
+    return Object.assign({}, value, { constraints: constraints.length ? constraints : undefined });
+  };
+  return declarations.map(decl => {
+    const basedOn = (decl.basedOn || []).filter(isDefined);
+    return Object.assign({}, decl, {
+      basedOn: basedOn.length ? basedOn : undefined,
+      value: repairValue(decl.value),
+      fields: (decl.fields || []).map(repairValue).filter(f => f)
+    });
+  });
+}
+
+// Exports the Specifications generated from one seed, resolving to a failure report if the export threw or logged
+// errors, or to undefined if it succeeded.  Unless options.shrink is false, the report includes the shrunk
+// declarations and the Specifications built from them.
+function fuzzCase(exportFn, seed, options={}) {
+  const capture = options.capture || err.defaultCapture;
+  const declarations = generateDeclarations(seed, options.generator);
+  const run = (decls) => {
+    capture.clear();
+    return runAsync(exportFn, buildSpecs(decls)).then(
+      () => ({ errors: capture.errors() }),
+      (ex) => ({ error: ex, errors: capture.errors() })
+    );
+  };
+  return run(declarations).then((outcome) => {
+    if (!outcome.error && !outcome.errors.length) {
+      return undefined;
+    }
+    const failure = { seed, error: outcome.error, errors: err.normalizeRecords(outcome.errors), declarations };
+    if (options.shrink === false) {
+      return failure;
+    }
+    // A crash shrinks to a smaller crash; logged errors shrink to smaller specifications that log errors
+    const fails = (decls) => run(decls).then(o => outcome.error ? !!o.error : o.errors.length > 0);
+    return shrinkDeclarations(declarations, fails, options.maxShrinkAttempts).then((shrunk) => {
+      capture.clear();
+      return Object.assign(failure, { shrunk, shrunkSpecs: buildSpecs(shrunk) });
+    });
+  });
+}
+
+// Runs fuzzCase for options.runs consecutive seeds, starting at options.seed.  Resolves to the list of failures.
+function fuzzExport(exportFn, options={}) {
+  const seed = typeof options.seed === 'undefined' ? 1 : options.seed;
+  const runs = typeof options.runs === 'undefined' ? 20 : options.runs;
+  const failures = [];
+  const runFrom = (i) => {
+    if (i >= runs) {
+      return Promise.resolve(failures);
+    }
+    return fuzzCase(exportFn, seed + i, options).then((failure) => {
+      if (failure) {
+        failures.push(failure);
+      }
+      return runFrom(i + 1);
+    });
+  };
+  return runFrom(0);
+}
+
+function formatFailure(failure) {
+  const lines = [`Export of the specifications generated from seed ${failure.seed} failed (reproduce with ${SEED_ENV_VAR}=${failure.seed})`];
+  if (failure.error) {
+    lines.push(`Threw: ${failure.error && failure.error.stack || failure.error}`);
+  }
+  if (failure.errors.length) {
+    lines.push('Logged errors:', ...failure.errors.map(e => `  ${JSON.stringify(e)}`));
+  }
+  if (failure.shrunkSpecs) {
+    lines.push(`Shrunk to ${failure.shrunk.length} element(s):`, formatSpecs(failure.shrunkSpecs));
+  }
+  return lines.join('\n');
+}
+
+// commonFuzzTests defines one mocha test per seed, each exporting the generated Specifications with exportFn and
+// failing if it throws or logs errors.  Options:
+// - exportFn:          the function under test; it may return a Promise (or any thenable)
+// - seed, runs:        the first seed and the number of seeds to run (defaults 1 and 20).  If the SHR_FUZZ_SEED
+//                      environment variable is set, only that seed runs.
+// - generator:         generator options (see DEFAULT_GENERATOR_OPTIONS)
+// - shrink:            shrink failing cases to a minimal one (default true)
+// - maxShrinkAttempts: the maximum number of exports tried while shrinking (default 1000)
+// - capture:           the errors.createCapture() scope the exporter logs to
+// - timeout:           the mocha timeout (ms) for each seed
+function commonFuzzTests(options={}) {
+  const envSeed = process.env[SEED_ENV_VAR];
+  let seed = typeof options.seed === 'undefined' ? 1 : options.seed;
+  let runs = typeof options.runs === 'undefined' ? 20 : options.runs;
+  if (typeof envSeed !== 'undefined' && envSeed !== '') {
+    [seed, runs] = [parseInt(envSeed, 10), 1];
+  }
+  return () => {
+    for (let i=0; i < runs; i++) {
+      // Note: using ES5 function syntax instead of () => due to bug in mocha that doesn't preserve context of 'this'
+      it(`should export generated specifications (seed ${seed + i})`, function() {
+        if (typeof options.timeout !== 'undefined') {
+          this.timeout(options.timeout);
+        }
+        return fuzzCase(options.exportFn, seed + i, options).then((failure) => {
+          if (failure) {
+            throw new AssertionError(formatFailure(failure));
+          }
+        });
+      });
+    }
+  };
+}
+
+module.exports = {commonFuzzTests, fuzzExport, fuzzCase, formatFailure, generateDeclarations, generateSpecs, buildSpecs,
+  shrinkDeclarations, shuffleSpecs, createRandom, DEFAULT_GENERATOR_OPTIONS};
@@ -0,0 +1,76 @@
+const {AssertionError} = require('chai');
+const mdl = require('shr-models');
+const err = require('./errors.js');
+const {diffSpecs, formatSpecsDiffReport} = require('./canonical.js');
+const {FIXTURES} = require('./fixtures.js');
+const {defineCases, runAsync, useLogLevel, useSeparateWarnings} = require('./suite.js');
+
+// commonImportTests runs each fixture scenario in the import direction: sourceFn(name) loads the source text (e.g.
+// CIMPL) for the named scenario, importFn(source, name) imports it to an mdl.Specifications, and the result is
+// compared to the Specifications the fixture builds.  It can be called with positional arguments:
+//   commonImportTests(importFn, sourceFn, expectedErrorsFn)
+// or with a single options object containing any of those arguments by name, plus the include, optIn, exclude,
+// timeout, unorderedErrors, capture, logLevel, and expectedWarningsFn options supported by commonExportTests.
+// sourceFn and importFn may return the result directly or return a Promise (or any thenable) for it.
+function commonImportTests(importFn, sourceFn, expectedErrorsFn, options={}) {
+  if (typeof importFn === 'object' && importFn !== null) {
+    options = importFn;
+    ({importFn, sourceFn, expectedErrorsFn} = options);
+  }
+  const capture = options.capture || err.defaultCapture;
+  if (typeof expectedErrorsFn === 'undefined') {
+    // default to expecting no errors
+    expectedErrorsFn = function() { return []; };
+  }
+
+  const loadSource = function(name, testCase) {
+    return runAsync(sourceFn, name).then((source) => {
+      const warnings = options.expectedWarningsFn ? options.expectedWarningsFn(name) : undefined;
+      return { source, errors: expectedErrorsFn(name), warnings };
+    }).catch((e) => {
+      if (e instanceof Error && e.name === 'AssertionError') {
+        throw e;
+      }
+      const msg = `Skipping ${name} test.  Failed to load source/expected errors: ${e}`;
+      console.warn(msg);
+      testCase.skip(msg);
+    });
+  };
+
+  return () => {
+    let checkImport = function(fixture, expected, loaded) {
+      return runAsync(importFn, loaded.source, fixture.name).catch((ex) => {
+        if (capture.errors().length) {
+          console.error('Test failed, additional errors that occurred while executing the test are', capture.errors());
+        }
+        throw ex;
+      }).then((specs) => {
+        const differences = diffSpecs(expected, specs);
+        if (differences.length) {
+          console.error(`Imported specifications for ${fixture.name} do not match expected:\n${formatSpecsDiffReport(differences)}`);
+          throw new AssertionError(`Imported specifications for ${fixture.name} do not match expected: ${differences.length} item(s) differ`);
+        }
+        capture.checkOverflow();
+        err.checkErrors(loaded.errors, capture.errors(), { unordered: options.unorderedErrors });
+        if (typeof loaded.warnings !== 'undefined') {
+          err.checkErrors(loaded.warnings, capture.warnings(), { unordered: options.unorderedErrors, kind: 'warning' });
+        }
+      });
+    };
+
+    useLogLevel(capture, options.logLevel);
+    useSeparateWarnings(capture, !!options.expectedWarningsFn);
+
+    // Note: using ES5 function syntax instead of () => due to bug in mocha that doesn't preserve context of 'this'
+    beforeEach(function() {
+      capture.clear();
+    });
+
+    const title = (fixture) => fixture.title.replace(/\bexport\b/, 'import');
+    defineCases(FIXTURES, options, { title }, (fixture, expected, testCase) => {
+      return loadSource(fixture.name, testCase).then((loaded) => checkImport(fixture, expected, loaded));
+    });
+  };
+}
+
+module.exports = {commonImportTests, MODELS_INFO: mdl.MODELS_INFO};
@@ -3,5 +3,14 @@ const export_tests = require('./export');
 module.exports = {
   errors: require('./errors'),
   export: export_tests,
+  import: require('./import'),
+  canonical: require('./canonical'),
+  diff: require('./diff'),
+  builder: require('./builder'),
+  fuzz: require('./fuzz'),
+  bench: require('./bench'),
+  coverage: require('./coverage'),
+  validate: require('./validate'),
+  fixtures: require('./fixtures'),
   MODELS_INFO: export_tests.MODELS_INFO
 };
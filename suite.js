@@ -0,0 +1,150 @@
+// Helpers shared by the common test suites (export, import, ...)
+const {AssertionError} = require('chai');
+const {validateSpecs, expectValidSpecs} = require('./validate.js');
+
+// The timeout option is either a number of milliseconds for every case, or an object mapping case names to
+// milliseconds (with an optional 'default' for the rest)
+function caseTimeout(name, timeout) {
+  if (typeof timeout === 'object' && timeout !== null) {
+    return Object.prototype.hasOwnProperty.call(timeout, name) ? timeout[name] : timeout.default;
+  }
+  return timeout;
+}
+
+// Returns true if the fixture is an opt-in scenario (see fixtures.FIXTURES) that neither the include nor the optIn
+// option names (by case name or tag).  Suites don't define opted-out cases at all, so adding an opt-in scenario
+// doesn't add cases to existing suites.
+function optedOut(fixture, include, optIn) {
+  if (!fixture.optIn) {
+    return false;
+  }
+  const keys = [fixture.name, ...fixture.tags];
+  const requested = (Array.isArray(include) ? include : []).concat(Array.isArray(optIn) ? optIn : []);
+  return !requested.some(r => keys.includes(r));
+}
+
+// Returns the reason the fixture's case shouldn't run, or undefined if it should
+function excludedReason(fixture, include, exclude) {
+  const keys = [fixture.name, ...fixture.tags];
+  if (Array.isArray(include) && !include.some(i => keys.includes(i))) {
+    return `not included by ${include.join(', ')}`;
+  }
+  if (Array.isArray(exclude)) {
+    const match = exclude.find(e => keys.includes(e));
+    if (match) {
+      return `excluded by ${match}`;
+    }
+  } else if (exclude) {
+    const match = keys.find(k => Object.prototype.hasOwnProperty.call(exclude, k));
+    if (match) {
+      return exclude[match] || `excluded by ${match}`;
+    }
+  }
+}
+
+// Defines a mocha test for each case (a fixture or scale scenario) that the include, optIn, and exclude options select.
+// Opt-in cases that aren't selected aren't defined, and excluded cases are pending, with the reason in the title.  The
+// test of a selected case sets its timeout, builds its Specifications, checks it with checkFixture, and returns the
+// result of run(fixture, specs, testCase).  settings can contain:
+// - title:          returns the title of a case's test; defaults to the case's title
+// - defaultTimeout: the timeout (ms) of cases that options.timeout doesn't set
+// - specs:          returns the Specifications of a case; defaults to calling the case's specs function
+// Returns a Map of each test defined (including pending ones) to its case.
+function defineCases(cases, options, settings, run) {
+  const title = settings.title || (fixture => fixture.title);
+  const specsFn = settings.specs || (fixture => fixture.specs());
+  const tests = new Map();
+  for (const fixture of cases) {
+    if (optedOut(fixture, options.include, options.optIn)) {
+      continue;
+    }
+    const skipReason = excludedReason(fixture, options.include, options.exclude);
+    if (skipReason) {
+      // A test without a function is reported as pending
+      tests.set(it(`${title(fixture)} (skipped: ${skipReason})`), fixture);
+      continue;
+    }
+    tests.set(it(title(fixture), function() {
+      const timeout = caseTimeout(fixture.name, options.timeout);
+      if (typeof timeout !== 'undefined' || typeof settings.defaultTimeout !== 'undefined') {
+        this.timeout(typeof timeout === 'undefined' ? settings.defaultTimeout : timeout);
+      }
+      const specs = specsFn(fixture);
+      checkFixture(fixture, specs);
+      return run(fixture, specs, this);
+    }), fixture);
+  }
+  return tests;
+}
+
+// Throws if a case's Specifications doesn't have exactly the problems the case declares: the kinds in its
+// expectedProblems (for the invalid fixtures), apart from those in its ignoredProblems.  A fixture that is broken
+// in other ways would make the code under test look broken, and one that isn't broken the way it claims would make
+// it look lenient, so the suites check the fixture itself first.
+function checkFixture(fixture, specs) {
+  const expectedProblems = fixture.expectedProblems || [];
+  const ignore = (fixture.ignoredProblems || []).concat(expectedProblems);
+  expectValidSpecs(specs, `Fixture ${fixture.name} is invalid`, { ignore });
+  if (expectedProblems.length) {
+    const kinds = validateSpecs(specs).map(p => p.kind);
+    const missing = expectedProblems.filter(kind => !kinds.includes(kind));
+    if (missing.length) {
+      throw new AssertionError(`Invalid fixture ${fixture.name} does not have the expected problem(s): ${missing.join(', ')}`);
+    }
+  }
+}
+
+// Calls fn with the given arguments, returning a Promise for its result whether fn is synchronous or asynchronous
+function runAsync(fn, ...args) {
+  try {
+    return Promise.resolve(fn(...args));
+  } catch (ex) {
+    return Promise.reject(ex);
+  }
+}
+
+// Returns true if the named environment variable (e.g. SHR_UPDATE_EXPECTED) is set to turn on an update mode, i.e. to
+// anything but '', '0', or 'false'
+function isUpdateEnvSet(envVar) {
+  const value = process.env[envVar];
+  return typeof value !== 'undefined' && !['', '0', 'false'].includes(value.toLowerCase());
+}
+
+// Registers mocha hooks that set the capture's level for the enclosing suite and restore it afterwards.  Does nothing
+// if level is undefined.
+function useLogLevel(capture, level) {
+  if (typeof level === 'undefined') {
+    return;
+  }
+  let previous;
+  before(function() {
+    previous = capture.level;
+    capture.setLevel(level);
+  });
+  after(function() {
+    if (!capture.disposed) {
+      capture.setLevel(previous);
+    }
+  });
+}
+
+// Registers mocha hooks that make the capture separate warnings from errors for the enclosing suite, and restore it
+// afterwards.  Does nothing if separate is false.
+function useSeparateWarnings(capture, separate) {
+  if (!separate) {
+    return;
+  }
+  let previous;
+  before(function() {
+    previous = capture.separatesWarnings;
+    capture.setSeparateWarnings(true);
+  });
+  after(function() {
+    if (!capture.disposed) {
+      capture.setSeparateWarnings(previous);
+    }
+  });
+}
+
+module.exports = {caseTimeout, optedOut, excludedReason, defineCases, checkFixture, runAsync, isUpdateEnvSet, useLogLevel,
+  useSeparateWarnings};
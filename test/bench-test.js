@@ -0,0 +1,82 @@
+const {expect} = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {SpecificationsBuilder} = require('../builder.js');
+const {commonBenchmarkTests, measureExport, compareToBaseline, SCALE_SCENARIOS} = require('../bench.js');
+const {runSuite} = require('./helpers/run-suite.js');
+
+describe('bench', () => {
+  describe('#measureExport()', () => {
+    const specsFn = () => new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+
+    it('should export fresh specifications on each run and report the median', () => {
+      const exported = [];
+      const exportFn = (specs) => {
+        exported.push(specs);
+      };
+      return measureExport(exportFn, specsFn, 3).then((measurement) => {
+        expect(exported).to.have.length(3);
+        expect(new Set(exported).size).to.equal(3);
+        expect(measurement.runs).to.equal(3);
+        expect(measurement.timeMs).to.be.at.least(0);
+        expect(measurement.heapBytes).to.be.at.least(0);
+      });
+    });
+
+    it('should wait for an asynchronous exporter', () => {
+      const exportFn = () => new Promise(resolve => setTimeout(resolve, 20));
+      return measureExport(exportFn, specsFn, 1).then((measurement) => {
+        expect(measurement.timeMs).to.be.at.least(15);
+      });
+    });
+
+    it('should reject fewer than 1 run', () => {
+      expect(() => measureExport(() => {}, specsFn, 0)).to.throw('must be an integer of at least 1: 0');
+      expect(() => commonBenchmarkTests({ exportFn: () => {}, runs: 0 })).to.throw('must be an integer of at least 1: 0');
+    });
+  });
+
+  describe('#compareToBaseline()', () => {
+    const baseline = { timeMs: 100, heapBytes: 10 * 1024 * 1024 };
+
+    it('should accept measurements within the tolerance', () => {
+      expect(compareToBaseline({ timeMs: 150, heapBytes: 20 * 1024 * 1024 }, baseline)).to.be.empty;
+    });
+
+    it('should describe each budget that is exceeded', () => {
+      expect(compareToBaseline({ timeMs: 151, heapBytes: 20 * 1024 * 1024 + 1 }, baseline)).to.eql([
+        'export took 151ms, more than the budget of 150ms (baseline 100ms)',
+        'heap grew by 20971521 bytes, more than the budget of 20971520 bytes (baseline 10485760 bytes)'
+      ]);
+      expect(compareToBaseline({ timeMs: 130, heapBytes: 0 }, baseline, { time: 0.25 })).to.have.length(1);
+    });
+
+    it('should allow at least the minimum increases over small baselines', () => {
+      expect(compareToBaseline({ timeMs: 11, heapBytes: 4 * 1024 * 1024 }, { timeMs: 1, heapBytes: 0 })).to.be.empty;
+      expect(compareToBaseline({ timeMs: 12, heapBytes: 0 }, { timeMs: 1, heapBytes: 0 })).to.eql([
+        'export took 12ms, more than the budget of 11ms (baseline 1ms)'
+      ]);
+    });
+  });
+
+  describe('#commonBenchmarkTests()', () => {
+    const resultsPath = path.join(os.tmpdir(), `shr-test-helpers-bench-${process.pid}`);
+    after(() => {
+      fs.removeSync(resultsPath);
+    });
+
+    it('should measure each scenario and write the measurements', () => {
+      const params = { ManyGroups: { copies: 2, namespaces: 2 }, DeepInheritance: { depth: 2 } };
+      const suite = commonBenchmarkTests({ exportFn: () => {}, params, runs: 1, resultsPath });
+      return runSuite(suite).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.have.length(SCALE_SCENARIOS.length);
+        const measurements = fs.readJsonSync(path.join(resultsPath, 'benchmark.json'));
+        expect(Object.keys(measurements)).to.eql(SCALE_SCENARIOS.map(s => s.name));
+        expect(measurements.DeepInheritance.params).to.eql({ depth: 2 });
+        expect(measurements.DeepInheritance.runs).to.equal(1);
+      });
+    });
+  });
+});
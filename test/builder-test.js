@@ -0,0 +1,114 @@
+const {expect} = require('chai');
+const mdl = require('shr-models');
+const {SpecificationsBuilder, parseCard} = require('../builder.js');
+const {diffSpecs} = require('../canonical.js');
+const {getFixture} = require('../fixtures.js');
+
+const FOOBAR = ['http://foo.org', 'bar', 'Foobar'];
+const SIMPLE = { description: 'It is a simple element', concepts: [FOOBAR], value: 'string' };
+
+describe('builder', () => {
+  describe('#parseCard()', () => {
+    it('should parse ranges, open ranges, and single numbers', () => {
+      expect(parseCard('0..1').toString()).to.equal('0..1');
+      expect(parseCard('1..*').toString()).to.equal('1..*');
+      expect(parseCard('2').toString()).to.equal('2..2');
+      expect(() => parseCard('1..x')).to.throw(/Invalid cardinality/);
+    });
+  });
+
+  describe('SpecificationsBuilder', () => {
+    it('should build elements with values, fields, and constraints', () => {
+      const specs = new SpecificationsBuilder('shr.test')
+        .element('Simple', { description: 'A simple element', concepts: [['http://foo.org', 'bar', 'Foobar']], value: 'string' })
+        .element('Group', {
+          entry: true,
+          basedOn: 'shr.other.test.Base',
+          fields: [{ type: 'Simple', card: '0..*', constraints: [{ card: '1..2' }] }, { choice: ['string', 'Simple'] }]
+        })
+        .element('shr.other.test.Base', { abstract: true })
+        .build();
+      const group = specs.dataElements.findByIdentifier(new mdl.Identifier('shr.test', 'Group'));
+      expect(group.isEntry).to.be.true;
+      expect(group.basedOn[0].fqn).to.equal('shr.other.test.Base');
+      expect(group.fields[0].card.toString()).to.equal('0..*');
+      expect(group.fields[0].constraints[0]).to.be.an.instanceof(mdl.CardConstraint);
+      expect(group.fields[1]).to.be.an.instanceof(mdl.ChoiceValue);
+      expect(specs.namespaces.all.map(ns => ns.namespace).sort()).to.eql(['shr.other.test', 'shr.test']);
+    });
+
+    it('should list and reject undefined references', () => {
+      const builder = new SpecificationsBuilder('shr.test').element('Group', { fields: ['Missing', 'Missing'] });
+      expect(builder.undefinedReferences()).to.eql([{ identifier: 'shr.test.Missing', referencedBy: 'shr.test.Group' }]);
+      expect(() => builder.build()).to.throw(/1 referenced identifier\(s\) were never defined/);
+      expect(builder.build({ allowUndefined: true })).to.equal(builder.specs);
+    });
+
+    it('should reject invalid declarations', () => {
+      const builder = new SpecificationsBuilder('shr.test');
+      expect(() => builder.element('string')).to.throw(/Cannot declare an element named string/);
+      expect(() => builder.element('Bad', { value: {} })).to.throw(/needs a type, choice, or tbd/);
+      expect(() => builder.element('Bad', { value: { type: 'string', constraints: [{ foo: 1 }] } })).to.throw(/Unknown constraint/);
+    });
+  });
+
+  describe('rebuilding fixtures', () => {
+    it('should build the same Specifications as Group', () => {
+      const specs = new SpecificationsBuilder('shr.test')
+        .element('Group', {
+          entry: true,
+          description: 'It is a group of elements',
+          concepts: [FOOBAR, ['http://boo.org', 'far', 'Boofar']],
+          fields: ['Simple', { type: 'Coded', card: '0..1' }, { type: 'ElementValue', card: '0..*' }]
+        })
+        .element('Simple', SIMPLE)
+        .element('Coded', {
+          description: 'It is a coded element',
+          value: { type: 'concept', constraints: [{ valueSet: 'http://standardhealthrecord.org/test/vs/Coded' }] }
+        })
+        .element('shr.other.test.Simple', SIMPLE)
+        .element('ForeignElementValue', {
+          description: 'It is an element with a foreign element value',
+          value: 'shr.other.test.Simple'
+        })
+        .element('ElementValue', { description: 'It is an element with an element value', value: 'Simple' })
+        .build();
+      expect(diffSpecs(getFixture('Group').specs(), specs)).to.be.empty;
+    });
+
+    it('should build the same Specifications as NotDoneDerivative', () => {
+      const specs = new SpecificationsBuilder('shr.test')
+        .element('NotDoneDerivative', {
+          entry: true,
+          description: 'It is an unfinished derivative element',
+          basedOn: [new mdl.TBD('An undetermined parent.'), 'TBD', 'ValuelessElement'],
+          concepts: [new mdl.TBD('Not sure of the concept')],
+          value: { tbd: 'An undetermined list value.', card: '0..*' },
+          fields: [{ tbd: 'An undetermined singular field.' }]
+        })
+        .element('ValuelessElement', { description: 'An element with no value.', fields: ['Simple'] })
+        .element('Simple', SIMPLE)
+        .build();
+      expect(diffSpecs(getFixture('NotDoneDerivative').specs(), specs)).to.be.empty;
+    });
+
+    it('should build the same Specifications as IncludesTypeConstraints', () => {
+      const child = { description: 'A derivative of the simple type.', basedOn: 'Simple', value: 'string' };
+      const specs = new SpecificationsBuilder('shr.test')
+        .element('SimpleChild2', child)
+        .element('IncludesTypesList', {
+          entry: true,
+          description: 'An entry with a includes types constraints.',
+          value: {
+            type: 'Simple',
+            card: '0..*',
+            constraints: [{ includesType: 'SimpleChild', card: '0..1' }, { includesType: 'SimpleChild2', card: '0..2' }]
+          }
+        })
+        .element('Simple', SIMPLE)
+        .element('SimpleChild', child)
+        .build();
+      expect(diffSpecs(getFixture('IncludesTypeConstraints').specs(), specs)).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const {expect} = require('chai');
+const {SpecificationsBuilder} = require('../builder.js');
+const {canonicalize, diffSpecs, diffCanonical, expectSpecsEqual} = require('../canonical.js');
+
+const FOO = ['http://foo.org', 'foo', 'Foo'];
+const BAR = ['http://foo.org', 'bar', 'Bar'];
+
+describe('canonical', () => {
+  describe('#canonicalize()', () => {
+    it('should ignore the order of elements, namespaces, and concepts', () => {
+      const specs1 = new SpecificationsBuilder('shr.test')
+        .element('Simple', { value: 'string', concepts: [FOO, BAR] })
+        .element('shr.other.test.Simple', { value: 'string' })
+        .build();
+      const specs2 = new SpecificationsBuilder('shr.test')
+        .element('shr.other.test.Simple', { value: 'string' })
+        .element('Simple', { value: 'string', concepts: [BAR, FOO] })
+        .build();
+      expect(canonicalize(specs1)).to.eql(canonicalize(specs2));
+      expect(diffSpecs(specs1, specs2)).to.be.empty;
+    });
+
+    it('should keep the order of fields', () => {
+      const builder = (fields) => new SpecificationsBuilder('shr.test')
+        .element('A', { value: 'string' })
+        .element('B', { value: 'string' })
+        .element('Group', { fields })
+        .build();
+      expect(diffSpecs(builder(['A', 'B']), builder(['B', 'A'])).map(d => `${d.item} ${d.kind}`))
+        .to.eql(['shr.test.Group changed']);
+    });
+  });
+
+  describe('#diffSpecs()', () => {
+    it('should report missing, extra, and changed elements with the changed fields', () => {
+      const expected = new SpecificationsBuilder('shr.test')
+        .element('Simple', { value: 'string' })
+        .element('Group', { fields: ['Simple'] })
+        .build();
+      const actual = new SpecificationsBuilder('shr.test')
+        .element('Simple', { value: { type: 'integer', card: '0..1' } })
+        .element('Other', { value: 'string' })
+        .build();
+      const differences = diffSpecs(expected, actual);
+      expect(differences.map(d => `${d.item} ${d.kind}`))
+        .to.eql(['shr.test.Group missing', 'shr.test.Simple changed', 'shr.test.Other extra']);
+      const report = differences[1].report;
+      expect(report).to.contain('2 difference(s)');
+      expect(report).to.contain('$.value.identifier (changed)\n  expected: "string"\n  actual:   "integer"');
+      expect(report).to.contain('$.value.card (changed)\n  expected: "1..1"\n  actual:   "0..1"');
+    });
+  });
+
+  describe('#diffCanonical()', () => {
+    it('should compare a Specifications against a canonical snapshot of itself', () => {
+      const specs = new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+      const snapshot = canonicalize(specs);
+      expect(diffCanonical(snapshot, canonicalize(specs))).to.be.empty;
+      specs.dataElements.find('shr.test', 'Simple').description = 'Changed';
+      const differences = diffCanonical(snapshot, canonicalize(specs));
+      expect(differences.map(d => `${d.item} ${d.kind}`)).to.eql(['shr.test.Simple changed']);
+      expect(differences[0].report).to.contain('$.description (extra)');
+    });
+  });
+
+  describe('#expectSpecsEqual()', () => {
+    it('should pass for equal Specifications', () => {
+      const specs = () => new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+      expectSpecsEqual(specs(), specs());
+    });
+
+    it('should fail with a readable diff', () => {
+      const expected = new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+      const actual = new SpecificationsBuilder('shr.test').element('Simple', { value: 'integer' }).build();
+      expect(() => expectSpecsEqual(actual, expected, 'Round trip failed')).to.throw([
+        'Round trip failed: 1 item(s) differ',
+        '',
+        'shr.test.Simple (changed)',
+        '1 difference(s)',
+        '',
+        '$.value.identifier (changed)',
+        '  expected: "string"',
+        '  actual:   "integer"'
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const {expect} = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {FIXTURES, getFixture} = require('../fixtures.js');
+const {specsConstructs, coverageReport, formatCoverageMarkdown, writeCoverage} = require('../coverage.js');
+const {commonExportTests, commonMappingTests} = require('../export.js');
+const {runSuite} = require('./helpers/run-suite.js');
+
+describe('coverage', () => {
+  describe('#specsConstructs()', () => {
+    it('should name constructs by shr-models class, with an optional variant', () => {
+      for (const fixture of FIXTURES) {
+        for (const construct of fixture.constructs) {
+          expect(construct, fixture.name).to.match(/^[A-Z][A-Za-z]+(:[a-z][A-Za-z-]*)?$/);
+        }
+      }
+    });
+
+    it('should find the constructs in the fixture specs', () => {
+      const fixture = getFixture('TypeConstraints');
+      expect(fixture.constructs).to.eql(specsConstructs(fixture.specs()));
+      expect(fixture.constructs).to.include.members(['DataElement:basedOn', 'TypeConstraint', 'TypeConstraint:onValue']);
+    });
+  });
+
+  describe('#coverageReport()', () => {
+    it('should group cases by construct and outcome', () => {
+      const report = coverageReport([
+        { name: 'A', outcome: 'pass', constructs: ['DataElement', 'ChoiceValue'] },
+        { name: 'B', outcome: 'fail', constructs: ['ChoiceValue'] }
+      ]);
+      expect(Object.keys(report.constructs)).to.eql(['ChoiceValue', 'DataElement']);
+      expect(report.constructs.ChoiceValue).to.eql({ pass: ['A'], fail: ['B'], skip: [] });
+      expect(report.cases.B).to.eql({ outcome: 'fail', constructs: ['ChoiceValue'] });
+    });
+
+    it('should list the constructs without a passing case', () => {
+      const report = coverageReport([{ name: 'B', outcome: 'skip', constructs: ['TBD'] }]);
+      expect(formatCoverageMarkdown(report)).to.contain('| TBD | 0 | 0 | 1 |').and.contain('* TBD: skipped in B');
+    });
+  });
+
+  describe('#writeCoverage()', () => {
+    const dir = path.join(os.tmpdir(), `shr-test-helpers-coverage-${process.pid}`);
+    after(() => {
+      fs.removeSync(dir);
+    });
+
+    it('should write the report as JSON and markdown, merging reports written to the same directory', () => {
+      writeCoverage(dir, coverageReport([
+        { name: 'A', outcome: 'pass', constructs: ['DataElement'] },
+        { name: 'B', outcome: 'pass', constructs: ['ChoiceValue'] }
+      ]));
+      const report = coverageReport([
+        { name: 'B', outcome: 'fail', constructs: ['ChoiceValue'] },
+        { name: 'C', outcome: 'skip', constructs: ['TBD'] }
+      ]);
+      writeCoverage(dir, report);
+      const written = fs.readJsonSync(path.join(dir, 'coverage.json'));
+      expect(Object.keys(written.cases)).to.eql(['A', 'B', 'C']);
+      expect(written.constructs.ChoiceValue).to.eql({ pass: [], fail: ['B'], skip: [] });
+      expect(fs.readFileSync(path.join(dir, 'coverage.md'), 'utf8')).to.equal(formatCoverageMarkdown(written));
+    });
+  });
+
+  describe('the coverage option', () => {
+    const resultsPath = path.join(os.tmpdir(), `shr-test-helpers-coverage-results-${process.pid}`);
+    const exportFn = (specs) => specs.dataElements.all.length;
+    after(() => {
+      fs.removeSync(resultsPath);
+    });
+
+    it('should write one report for the suites that share a results path', () => {
+      const expectedFn = (name) => getFixture(name).specs().dataElements.all.length;
+      const options = { exportFn, expectedFn, resultsPath, coverage: true };
+      return runSuite(commonExportTests(Object.assign({ include: ['Simple', 'Group'] }, options))).then((results) => {
+        expect(results.passed).to.have.length(2);
+        const report = fs.readJsonSync(path.join(resultsPath, 'coverage.json'));
+        expect(report.cases.Simple).to.eql({ outcome: 'pass', constructs: getFixture('Simple').constructs });
+        expect(report.cases.Choice.outcome).to.equal('skip');
+        expect(fs.readFileSync(path.join(resultsPath, 'coverage.md'), 'utf8')).to.match(/^# Construct Coverage\n/);
+        return runSuite(commonMappingTests(Object.assign({ include: ['SimpleMapping'] }, options)));
+      }).then((results) => {
+        expect(results.passed).to.have.length(1);
+        const report = fs.readJsonSync(path.join(resultsPath, 'coverage.json'));
+        expect(report.cases.Simple.outcome).to.equal('pass');
+        expect(report.cases.SimpleMapping.outcome).to.equal('pass');
+        expect(report.constructs.ElementMapping.pass).to.eql(['SimpleMapping']);
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const {expect} = require('chai');
+const {diffJSON, diffLines, formatDiffReport, diffFileTrees, normalizeText} = require('../diff.js');
+
+describe('diff', () => {
+  describe('#diffJSON()', () => {
+    it('should report changed, missing, and extra paths', () => {
+      const differences = diffJSON({ a: 1, b: [1, 2], c: 'x' }, { a: 2, b: [1], d: true });
+      expect(differences.map(d => `${d.path} ${d.kind}`)).to.eql(['$.a changed', '$.b[1] missing', '$.c missing', '$.d extra']);
+    });
+  });
+
+  describe('#diffLines()', () => {
+    it('should return an empty string for equal text', () => {
+      expect(diffLines('a\nb', 'a\nb')).to.equal('');
+    });
+
+    it('should produce unified diff hunks', () => {
+      const expected = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+      const actual = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10'].join('\n');
+      expect(diffLines(expected, actual)).to.equal([
+        '--- expected', '+++ actual', '@@ -2,7 +2,7 @@', ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8'
+      ].join('\n'));
+    });
+    it('should diff large, completely different inputs', function() {
+      this.timeout(20000);
+      const expected = Array.from({ length: 6000 }, (x, i) => `expected ${i}`).join('\n');
+      const actual = Array.from({ length: 6000 }, (x, i) => `actual ${i}`).join('\n');
+      const lines = diffLines(expected, actual).split('\n');
+      expect(lines[2]).to.equal('@@ -1,6000 +1,6000 @@');
+      expect(lines.filter(l => l.startsWith('-expected')).length).to.equal(6000);
+      expect(lines.filter(l => l.startsWith('+actual')).length).to.equal(6000);
+    });
+
+    it('should find the fewest changes in large inputs', function() {
+      this.timeout(20000);
+      const expLines = Array.from({ length: 20000 }, (x, i) => `line ${i}`);
+      const actLines = expLines.filter((l, i) => i % 1000 !== 0).map((l, i) => i % 777 === 0 ? `changed ${i}` : l);
+      const lines = diffLines(expLines.join('\n'), actLines.join('\n'), 0).split('\n');
+      const removed = lines.filter(l => l.startsWith('-')).length - 1;
+      const added = lines.filter(l => l.startsWith('+')).length - 1;
+      expect(removed).to.equal(20 + 26);
+      expect(added).to.equal(26);
+    });
+  });
+
+  describe('#formatDiffReport()', () => {
+    it('should list JSON differences', () => {
+      expect(formatDiffReport({ a: 1 }, { a: 2 })).to.equal('1 difference(s)\n\n$.a (changed)\n  expected: 1\n  actual:   2');
+    });
+
+    it('should format values that JSON cannot represent', () => {
+      const circular = { name: 'circular' };
+      circular.self = circular;
+      const report = formatDiffReport({ a: 1, b: 2, c: 3 }, { a: function exported() {}, b: undefined, c: circular });
+      expect(report).to.contain('$.a (changed)\n  expected: 1\n  actual:   [Function: exported]');
+      expect(report).to.contain('$.c (changed)\n  expected: 3\n  actual:   <ref *1> { name: \'circular\', self: [Circular *1] }');
+      expect(report).to.contain('$.b (changed)\n  expected: 2\n  actual:   undefined');
+    });
+  });
+
+  describe('#diffFileTrees()', () => {
+    it('should report missing, extra, and changed files', () => {
+      const result = diffFileTrees({ 'a.txt': Buffer.from('a\n'), 'b.json': Buffer.from('{"x":1}'), 'c.txt': 'c' },
+        { 'a.txt': 'a\r\n', 'b.json': { x: 2 }, 'd.txt': 'd' }, normalizeText);
+      expect(result.missing).to.eql(['c.txt']);
+      expect(result.extra).to.eql(['d.txt']);
+      expect(result.changed.map(c => c.path)).to.eql(['b.json']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const {expect} = require('chai');
+const err = require('../errors.js');
+
+describe('errors', () => {
+  let capture;
+  beforeEach(() => {
+    capture = err.createCapture({ limit: 3 });
+  });
+  afterEach(() => {
+    capture.dispose();
+  });
+
+  it('should capture records at or above the capture level', () => {
+    const log = capture.logger();
+    log.warn('ignored');
+    log.error({ shrId: 'shr.test.Simple' }, 'captured');
+    expect(err.normalizeRecords(capture.errors())).to.eql([{ level: 50, msg: 'captured', shrId: 'shr.test.Simple' }]);
+  });
+
+  it('should separate errors from warnings when the level is lowered', () => {
+    capture.setLevel('warn');
+    const log = capture.logger();
+    log.warn('a warning');
+    log.error('an error');
+    expect(capture.errors().map(r => r.msg)).to.eql(['an error']);
+    expect(capture.warnings().map(r => r.msg)).to.eql(['a warning']);
+  });
+
+  it('should treat records from lower-level loggers as errors unless warnings are separated', () => {
+    const log = capture.logger('warn');
+    log.warn('a warning');
+    log.error('an error');
+    expect(capture.errors().map(r => r.msg)).to.eql(['a warning', 'an error']);
+    expect(capture.warnings()).to.be.empty;
+    capture.setSeparateWarnings(true);
+    expect(capture.errors().map(r => r.msg)).to.eql(['an error']);
+    expect(capture.warnings().map(r => r.msg)).to.eql(['a warning']);
+  });
+
+  it('should apply a new level to its default-level loggers and their children only', () => {
+    const log = capture.logger();
+    const child = log.child({ shrId: 'shr.test.Simple' });
+    const fixed = capture.logger('error');
+    capture.setLevel('info');
+    log.info('from the logger');
+    child.warn('from the child');
+    fixed.warn('not captured');
+    expect(capture.records().map(r => r.msg)).to.eql(['from the logger', 'from the child']);
+  });
+
+  it('should count the records past its limit', () => {
+    const log = capture.logger();
+    for (let i = 0; i < 5; i++) {
+      log.error(`error ${i}`);
+    }
+    expect(capture.records().length).to.equal(3);
+    expect(capture.dropped).to.equal(2);
+    expect(() => capture.checkOverflow()).to.throw(/2 log record\(s\) were dropped/);
+  });
+
+  describe('#checkErrors()', () => {
+    const actual = [{ level: 50, msg: 'first', shrId: 'a' }, { level: 50, msg: 'second', shrId: 'b' }];
+
+    it('should match subsets, regular expressions, predicates, and level names', () => {
+      err.checkErrors([{ msg: 'first' }, { level: 'error', msg: /sec/, shrId: (id) => id === 'b' }], actual);
+    });
+
+    it('should match by position unless unordered', () => {
+      const expected = [{ msg: 'second' }, { msg: 'first' }];
+      expect(() => err.checkErrors(expected, actual)).to.throw(/Unmatched expectations/);
+      err.checkErrors(expected, actual, { unordered: true });
+    });
+
+    it('should report unmatched actual records', () => {
+      expect(() => err.checkErrors([{ msg: 'first' }], actual, { kind: 'warning' }))
+        .to.throw(/Logged warnings did not match the 1 expected warning\(s\)\nUnmatched logged warnings:/);
+    });
+
+    it('should not let a loose expectation take the only record a later one matches', () => {
+      err.checkErrors([{ level: 50 }, { msg: 'first' }], actual, { unordered: true });
+    });
+  });
+});
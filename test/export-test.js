@@ -0,0 +1,326 @@
+const {expect} = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const err = require('../errors.js');
+const {commonExportTests, commonInvalidExportTests} = require('../export.js');
+const {FIXTURES, INVALID_FIXTURES, getFixture} = require('../fixtures.js');
+const {runSuite} = require('./helpers/run-suite.js');
+
+const SIMPLE = getFixture('Simple').title;
+const GROUP = getFixture('Group').title;
+
+// Exports the FQNs of a Specifications' data elements
+function exportElements(specs) {
+  return { elements: specs.dataElements.all.map(de => de.identifier.fqn) };
+}
+
+// Exports a Specifications as JSON text, with a trailing newline so it isn't equal to its parsed object
+function exportText(specs) {
+  return `${JSON.stringify({ elements: specs.dataElements.all.map(de => de.identifier.fqn) }, null, 2)}\n`;
+}
+
+describe('export', () => {
+  describe('#commonExportTests() with textExtension json', () => {
+    const expectedPath = path.join(os.tmpdir(), `shr-test-helpers-${process.pid}`);
+    before(() => {
+      fs.mkdirpSync(expectedPath);
+      fs.writeFileSync(path.join(expectedPath, 'Simple.json'), '{\n  "elements": [\n    "shr.test.Simple"\n  ]\n}\n');
+    });
+    after(() => {
+      fs.removeSync(expectedPath);
+    });
+
+    describe('with the fixtures', commonExportTests({ exportFn: exportText, expectedPath, textExtension: 'json',
+      include: ['Simple'] }));
+
+    describe('with an object exporter', commonExportTests({ exportFn: exportElements, expectedPath, textExtension: 'json',
+      include: ['Simple'] }));
+
+    it('should fail an object exporter whose result does not match the parsed expected file', () => {
+      const exportFn = (specs) => ({ elements: exportElements(specs).elements.concat('shr.test.Other') });
+      const suite = commonExportTests({ exportFn, expectedPath, textExtension: 'json', include: ['Simple'] });
+      return runSuite(suite).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([SIMPLE]);
+        expect(results.failed[0].error.expected).to.eql({ elements: ['shr.test.Simple'] });
+      });
+    });
+  });
+
+  describe('#commonExportTests() with checkMutation and freezeSpecs', () => {
+    const mutatingExport = (specs) => {
+      specs.dataElements.find('shr.test', 'Simple').description = 'Changed by the exporter';
+      return exportElements(specs);
+    };
+    const options = { expectedFn: () => ({ elements: ['shr.test.Simple'] }), include: ['Simple'] };
+
+    it('should pass an exporter that does not modify the specifications', () => {
+      const suite = commonExportTests(Object.assign({ exportFn: exportElements, checkMutation: true, freezeSpecs: true }, options));
+      return runSuite(suite).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([SIMPLE]);
+      });
+    });
+
+    it('should fail an exporter that modifies the specifications, listing the changed fields', () => {
+      const suite = commonExportTests(Object.assign({ exportFn: mutatingExport, checkMutation: true }, options));
+      return runSuite(suite).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([SIMPLE]);
+        const message = results.failed[0].error.message;
+        expect(message).to.contain('Exporter modified the specifications for Simple: 1 item(s) changed');
+        expect(message).to.contain('shr.test.Simple (changed)');
+        expect(message).to.contain('$.description (changed)');
+        expect(message).to.contain('actual:   "Changed by the exporter"');
+      });
+    });
+
+    it('should throw a TypeError where an exporter writes to frozen specifications', () => {
+      const suite = commonExportTests(Object.assign({ exportFn: mutatingExport, freezeSpecs: true }, options));
+      return runSuite(suite).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([SIMPLE]);
+        expect(results.failed[0].error).to.be.an.instanceof(TypeError);
+      });
+    });
+  });
+
+  describe('#commonExportTests() in update expected mode', () => {
+    const expectedPath = path.join(os.tmpdir(), `shr-test-helpers-update-${process.pid}`);
+    // Logs an error for Group, so that its errors file is written too
+    const exportFn = (specs) => {
+      if (specs.dataElements.find('shr.test', 'Group')) {
+        err.logger().error('Groups are not supported');
+      }
+      return exportElements(specs);
+    };
+    const options = { exportFn, expectedPath, include: ['Simple', 'Group'] };
+    beforeEach(() => {
+      fs.removeSync(expectedPath);
+      fs.mkdirpSync(expectedPath);
+      fs.writeFileSync(path.join(expectedPath, 'Removed.json'), '{}');
+    });
+    after(() => {
+      fs.removeSync(expectedPath);
+    });
+
+    it('should write the expected files, report unused ones, and then pass a compare run', () => {
+      return runSuite(commonExportTests(Object.assign({ updateExpected: true }, options))).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([`${SIMPLE} (expected files updated)`, `${GROUP} (expected files updated)`]);
+        expect(results.messages).to.include(`Updated expected files in ${expectedPath} for: Simple, Group`);
+        expect(results.messages).to.include(`Expected files in ${expectedPath} not used by any test case: Removed.json`);
+        expect(fs.readJsonSync(path.join(expectedPath, 'Simple.json'))).to.eql({ elements: ['shr.test.Simple'] });
+        expect(fs.existsSync(path.join(expectedPath, 'Simple_errors.json'))).to.be.false;
+        expect(fs.readJsonSync(path.join(expectedPath, 'Group_errors.json')).map(r => r.msg)).to.eql(['Groups are not supported']);
+        return runSuite(commonExportTests(options));
+      }).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([SIMPLE, GROUP]);
+        return runSuite(commonExportTests(Object.assign({}, options, { exportFn: exportElements })));
+      }).then((results) => {
+        expect(results.passed).to.eql([SIMPLE]);
+        expect(results.failed.map(f => f.title)).to.eql([GROUP]);
+      });
+    });
+
+    it('should update the expected files when SHR_UPDATE_EXPECTED is set', () => {
+      process.env.SHR_UPDATE_EXPECTED = '1';
+      let suite;
+      try {
+        suite = commonExportTests(options);
+      } finally {
+        delete process.env.SHR_UPDATE_EXPECTED;
+      }
+      return runSuite(suite).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(fs.readJsonSync(path.join(expectedPath, 'Group.json'))).to.eql(exportElements(getFixture('Group').specs()));
+      });
+    });
+
+    it('should require expectedPath', () => {
+      expect(() => commonExportTests({ exportFn, updateExpected: true })).to.throw(/requires options.expectedPath/);
+    });
+  });
+
+  describe('#commonExportTests() with multiFile', () => {
+    const expectedPath = path.join(os.tmpdir(), `shr-test-helpers-multi-${process.pid}`);
+    const resultsPath = path.join(os.tmpdir(), `shr-test-helpers-multi-results-${process.pid}`);
+    // Exports a file per data element, under a directory per namespace
+    const exportFiles = (specs) => {
+      const files = {};
+      for (const de of specs.dataElements.all) {
+        files[`${de.identifier.namespace}/${de.identifier.name}.txt`] = de.description;
+      }
+      return files;
+    };
+    const options = { expectedPath, resultsPath, include: ['Simple'], multiFile: true };
+    before(() => {
+      fs.mkdirpSync(path.join(expectedPath, 'Simple', 'shr.test'));
+      fs.writeFileSync(path.join(expectedPath, 'Simple', 'shr.test', 'Simple.txt'), 'It is a simple element');
+    });
+    after(() => {
+      fs.removeSync(expectedPath);
+      fs.removeSync(resultsPath);
+    });
+
+    it('should compare the files against the expected directory tree and write them to resultsPath', () => {
+      return runSuite(commonExportTests(Object.assign({ exportFn: exportFiles }, options))).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([SIMPLE]);
+        expect(fs.readFileSync(path.join(resultsPath, 'Simple', 'shr.test', 'Simple.txt'), 'utf8')).to.equal('It is a simple element');
+      });
+    });
+
+    it('should fail when a file is missing, reporting it in the diff', () => {
+      // Leaves out the elements of shr.test
+      const exportFn = (specs) => {
+        const files = exportFiles(specs);
+        delete files['shr.test/Simple.txt'];
+        return files;
+      };
+      return runSuite(commonExportTests(Object.assign({ exportFn }, options))).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([SIMPLE]);
+        expect(results.failed[0].error.message).to.equal('Exported files for Simple do not match expected: 1 missing, 0 extra, 0 changed');
+        expect(fs.readFileSync(path.join(resultsPath, 'Simple_diff.txt'), 'utf8')).to.contain('shr.test/Simple.txt');
+      });
+    });
+
+    it('should fail when there is an extra file, reporting it in the diff', () => {
+      const exportFn = (specs) => Object.assign(exportFiles(specs), { 'shr.test/Extra.txt': 'Not expected' });
+      return runSuite(commonExportTests(Object.assign({ exportFn }, options))).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([SIMPLE]);
+        expect(results.failed[0].error.message).to.equal('Exported files for Simple do not match expected: 0 missing, 1 extra, 0 changed');
+        expect(fs.readFileSync(path.join(resultsPath, 'Simple_diff.txt'), 'utf8')).to.contain('shr.test/Extra.txt');
+      });
+    });
+  });
+
+  describe('#commonExportTests() with perNamespace and the namespace scenarios', () => {
+    const expectedPath = path.join(os.tmpdir(), `shr-test-helpers-namespaces-${process.pid}`);
+    const NAMESPACE_CASES = FIXTURES.filter(f => f.tags.includes('namespace')).map(f => f.title);
+    // Exports the data elements of each namespace
+    const exportNamespaces = (specs) => {
+      const result = {};
+      for (const ns of specs.namespaces.all) {
+        const elements = specs.dataElements.all.filter(de => de.identifier.namespace === ns.namespace);
+        result[ns.namespace] = elements.map(de => de.identifier.fqn);
+      }
+      return result;
+    };
+    before(() => {
+      const result = exportNamespaces(getFixture('TransitiveNamespaces').specs());
+      for (const namespace of Object.keys(result)) {
+        fs.outputJsonSync(path.join(expectedPath, 'TransitiveNamespaces', `${namespace}.json`), result[namespace]);
+      }
+    });
+    after(() => {
+      fs.removeSync(expectedPath);
+    });
+
+    it('should leave out the namespace scenarios unless they are opted in', () => {
+      const expectedFn = (name) => exportNamespaces(getFixture(name).specs());
+      const options = { exportFn: exportNamespaces, expectedFn, perNamespace: true };
+      return runSuite(commonExportTests(options)).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.include(SIMPLE);
+        expect(results.passed.filter(title => NAMESPACE_CASES.includes(title))).to.be.empty;
+        return runSuite(commonExportTests(Object.assign({ optIn: ['namespace'] }, options)));
+      }).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.include(SIMPLE);
+        expect(results.passed.filter(title => NAMESPACE_CASES.includes(title))).to.eql(NAMESPACE_CASES);
+      });
+    });
+
+    it('should compare each namespace separately', () => {
+      const options = { exportFn: exportNamespaces, expectedPath, perNamespace: true, include: ['TransitiveNamespaces'] };
+      return runSuite(commonExportTests(options)).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([getFixture('TransitiveNamespaces').title]);
+        // Moves shr.third.test's elements into shr.other.test
+        const exportFn = (specs) => {
+          const result = exportNamespaces(specs);
+          result['shr.other.test'] = result['shr.other.test'].concat(result['shr.third.test']);
+          delete result['shr.third.test'];
+          return result;
+        };
+        return runSuite(commonExportTests(Object.assign({}, options, { exportFn })));
+      }).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([getFixture('TransitiveNamespaces').title]);
+        expect(results.failed[0].error.message).to.equal(
+          'Exported namespaces for TransitiveNamespaces do not match expected: 1 missing, 0 extra, 1 changed');
+        const report = results.messages.join('\n');
+        expect(report).to.contain('shr.third.test.json');
+        expect(report).to.contain('shr.other.test.json');
+      });
+    });
+  });
+
+  describe('#commonExportTests() with shuffle', () => {
+    const GROUP_ELEMENTS = exportElements(getFixture('Group').specs());
+    const options = { expectedFn: () => GROUP_ELEMENTS, include: ['Group'] };
+    // Lists the elements in the order they were added, like GROUP_ELEMENTS, so only the shuffled runs differ
+    const orderDependentOptions = Object.assign({ exportFn: exportElements }, options);
+    const SEED_MESSAGE = /it changed when the namespaces and data elements were shuffled by seed (\d+) \(set SHR_SHUFFLE_SEED=\1 to reproduce\)$/;
+    afterEach(() => {
+      delete process.env.SHR_SHUFFLE_SEED;
+    });
+
+    it('should pass an exporter that does not depend on the input order', () => {
+      const exportFn = (specs) => ({ elements: exportElements(specs).elements.sort() });
+      const expectedFn = () => ({ elements: GROUP_ELEMENTS.elements.slice().sort() });
+      return runSuite(commonExportTests({ exportFn, expectedFn, include: ['Group'], shuffle: 5 })).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql([GROUP]);
+      });
+    });
+
+    it('should catch an order-dependent exporter and report the seed, which SHR_SHUFFLE_SEED repeats', () => {
+      let seed;
+      return runSuite(commonExportTests(Object.assign({ shuffle: { runs: 10, seed: 1 } }, orderDependentOptions))).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([GROUP]);
+        const match = results.failed[0].error.message.match(SEED_MESSAGE);
+        expect(match).to.exist;
+        seed = parseInt(match[1], 10);
+        expect(seed).to.be.within(1, 10);
+        process.env.SHR_SHUFFLE_SEED = `${seed}`;
+        return runSuite(commonExportTests(Object.assign({ shuffle: 1 }, orderDependentOptions)));
+      }).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([GROUP]);
+        expect(results.failed[0].error.message.match(SEED_MESSAGE)[1]).to.equal(`${seed}`);
+      });
+    });
+  });
+
+  describe('#commonInvalidExportTests()', () => {
+    const CIRCULAR = getFixture('CircularBasedOn').title;
+
+    it('should pass an exporter that logs errors for every scenario', () => {
+      const exportFn = (specs) => {
+        err.logger().error('The specifications are invalid');
+      };
+      return runSuite(commonInvalidExportTests({ exportFn })).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql(INVALID_FIXTURES.map(f => f.title));
+      });
+    });
+
+    it('should fail when the exporter throws', () => {
+      const exportFn = (specs) => {
+        throw new Error('Cannot export a cycle');
+      };
+      return runSuite(commonInvalidExportTests({ exportFn, include: ['CircularBasedOn'] })).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([CIRCULAR]);
+        expect(results.failed[0].error.message).to.equal(
+          'Exporter threw on invalid specifications CircularBasedOn instead of logging errors: Error: Cannot export a cycle');
+      });
+    });
+
+    it('should fail when the exporter logs no errors', () => {
+      const exportFn = (specs) => Promise.resolve(exportElements(specs));
+      return runSuite(commonInvalidExportTests({ exportFn, include: ['CircularBasedOn'] })).then((results) => {
+        expect(results.failed.map(f => f.title)).to.eql([CIRCULAR]);
+        expect(results.failed[0].error.message).to.equal('Exporter logged no errors for invalid specifications CircularBasedOn');
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const {expect} = require('chai');
+const mdl = require('shr-models');
+const {FIXTURES, INVALID_FIXTURES, getFixture} = require('../fixtures.js');
+const {validateSpecs, formatProblems} = require('../validate.js');
+const {SCALE_SCENARIOS} = require('../bench.js');
+
+// Returns the values of an element: its value and fields, and the options of any choices among them
+function elementValues(de) {
+  const values = [];
+  const add = (value) => {
+    if (value) {
+      values.push(value);
+      if (value instanceof mdl.ChoiceValue) {
+        value.options.forEach(add);
+      }
+    }
+  };
+  [de.value, ...de.fields].forEach(add);
+  return values;
+}
+
+function mappingRules(specs) {
+  return specs.maps.targets.reduce((rules, t) => rules.concat(...specs.maps.byTarget(t).map(m => m.rules)), []);
+}
+
+// Returns a check that a content profile rule satisfies test(rule, profiledElement, specs)
+function hasProfileRule(test) {
+  return (specs) => specs.contentProfiles.all.some(cp => {
+    const de = specs.dataElements.findByIdentifier(cp.identifier);
+    return cp.rules.some(rule => test(rule, de, specs));
+  });
+}
+
+const has = (...names) => (specs, constructs) => names.some(name => constructs.includes(name));
+const isReference = (specs, value) => {
+  if (!(value instanceof mdl.IdentifiableValue) || value.identifier.isPrimitive) {
+    return false;
+  }
+  const target = specs.dataElements.findByIdentifier(value.identifier);
+  return !target || target.isEntry;
+};
+
+// What each tag says about a fixture's specs, as a check of its specs and their constructs (see coverage.specsConstructs)
+const TAG_CHECKS = {
+  'abstract': has('DataElement:abstract'),
+  'choice': has('ChoiceValue'),
+  'choice:nested': has('ChoiceValue:nested'),
+  'codesystem': has('CodeSystem'),
+  'constraint:boolean': has('BooleanConstraint'),
+  'constraint:card': has('CardConstraint'),
+  'constraint:code': has('CodeConstraint'),
+  'constraint:includes-code': has('IncludesCodeConstraint'),
+  'constraint:includes-type': has('IncludesTypeConstraint'),
+  'constraint:path': (specs, constructs) => constructs.some(c => /Constraint:path$/.test(c)),
+  'constraint:type': has('TypeConstraint'),
+  'constraint:valueset': has('ValueSetConstraint'),
+  'content-profile': has('ContentProfile'),
+  'content-profile:choice': hasProfileRule((rule, de) => {
+    return elementValues(de).some(v => v instanceof mdl.ChoiceValue && v.aggregateOptions.some(o => o.identifier &&
+      o.identifier.equals(rule.path[0])));
+  }),
+  'content-profile:inherited': hasProfileRule((rule, de, specs) => de.basedOn.some(base => {
+    const parent = specs.dataElements.findByIdentifier(base);
+    return parent && elementValues(parent).some(v => v.identifier && v.identifier.equals(rule.path[0]));
+  })),
+  'content-profile:nested': hasProfileRule(rule => rule.path.length > 1),
+  'element-value': (specs) => specs.dataElements.all.some(de => de.value instanceof mdl.IdentifiableValue &&
+    !de.value.identifier.isPrimitive),
+  'group': (specs) => specs.dataElements.all.some(de => de.fields.length > 0),
+  'inheritance': has('DataElement:basedOn'),
+  'invalid': (specs) => validateSpecs(specs).length > 0,
+  'mapping': has('ElementMapping'),
+  'mapping:cardinality': has('CardinalityMappingRule'),
+  'mapping:field': has('FieldMappingRule'),
+  'mapping:fixed': has('FixedValueMappingRule'),
+  'mapping:inheritance': has('ElementMapping:inherited'),
+  'mapping:slicing': (specs) => mappingRules(specs).some(rule => /\(slice on/.test(rule.target)),
+  'namespace': (specs, constructs) => specs.namespaces.all.length > 1 || constructs.includes('Namespace:description'),
+  'namespace:empty': (specs) => validateSpecs(specs).some(p => p.kind === 'empty-namespace'),
+  'namespace:foreign': (specs) => specs.namespaces.all.some(ns => ns.namespace !== 'shr.test'),
+  'namespace:metadata': has('Namespace:description'),
+  'namespace:multi': (specs) => specs.namespaces.all.length > 2,
+  'reference': (specs) => specs.dataElements.all.some(de => elementValues(de).some(v => isReference(specs, v))),
+  'tbd': has('TBD'),
+  'valueset': has('ValueSet')
+};
+
+describe('fixtures', () => {
+  describe('tags', () => {
+    const fixtures = FIXTURES.concat(INVALID_FIXTURES);
+
+    it('should all have a check', () => {
+      const tags = new Set(fixtures.reduce((all, f) => all.concat(f.tags), []));
+      expect(Array.from(tags).filter(tag => !TAG_CHECKS[tag])).to.be.empty;
+    });
+
+    for (const fixture of fixtures) {
+      it(`should describe the specifications of ${fixture.name}`, () => {
+        const specs = fixture.specs();
+        const wrong = fixture.tags.filter(tag => TAG_CHECKS[tag] && !TAG_CHECKS[tag](specs, fixture.constructs));
+        expect(wrong, `tags that don't match the specifications of ${fixture.name}`).to.be.empty;
+      });
+    }
+  });
+
+  describe('FIXTURES', () => {
+    it('should have unique names', () => {
+      const names = FIXTURES.concat(INVALID_FIXTURES).map(f => f.name);
+      expect(new Set(names).size).to.equal(names.length);
+    });
+
+    for (const fixture of FIXTURES) {
+      it(`should build a valid ${fixture.name}`, () => {
+        const problems = validateSpecs(fixture.specs(), { ignore: fixture.ignoredProblems });
+        expect(problems, formatProblems(problems)).to.be.empty;
+      });
+    }
+
+    it('should build fresh specifications each time', () => {
+      const fixture = getFixture('Group');
+      expect(fixture.specs()).not.to.equal(fixture.specs());
+      expect(fixture.specs().dataElements.all.length).to.equal(fixture.specs().dataElements.all.length);
+    });
+  });
+
+  describe('INVALID_FIXTURES', () => {
+    for (const fixture of INVALID_FIXTURES) {
+      it(`should build ${fixture.name} with its expected problems`, () => {
+        expect(fixture.expectedProblems).not.to.be.empty;
+        const kinds = validateSpecs(fixture.specs()).map(p => p.kind);
+        for (const kind of fixture.expectedProblems) {
+          expect(kinds).to.include(kind);
+        }
+      });
+    }
+  });
+
+  describe('SCALE_SCENARIOS', () => {
+    for (const scenario of SCALE_SCENARIOS) {
+      it(`should build a valid ${scenario.name}`, () => {
+        const problems = validateSpecs(scenario.specs());
+        expect(problems, formatProblems(problems)).to.be.empty;
+      });
+    }
+  });
+});
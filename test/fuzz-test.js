@@ -0,0 +1,54 @@
+const {expect} = require('chai');
+const err = require('../errors.js');
+const {generateDeclarations, generateSpecs, buildSpecs, shrinkDeclarations, fuzzExport, shuffleSpecs} = require('../fuzz.js');
+const {formatSpecs} = require('../canonical.js');
+const {validateSpecs, formatProblems} = require('../validate.js');
+
+describe('fuzz', () => {
+  it('should generate the same specifications from the same seed', () => {
+    expect(formatSpecs(generateSpecs(7))).to.equal(formatSpecs(generateSpecs(7)));
+    expect(formatSpecs(generateSpecs(7))).not.to.equal(formatSpecs(generateSpecs(8)));
+  });
+
+  it('should generate valid specifications', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+      const problems = validateSpecs(generateSpecs(seed));
+      expect(problems, `seed ${seed}: ${formatProblems(problems)}`).to.be.empty;
+    }
+  });
+
+  it('should shrink to a small failing set of declarations', () => {
+    const declarations = generateDeclarations(3, { elements: 20 });
+    const target = declarations[declarations.length - 1].name;
+    const fails = (decls) => decls.some(d => d.name === target);
+    return shrinkDeclarations(declarations, fails).then((shrunk) => {
+      expect(shrunk.length).to.be.below(declarations.length);
+      expect(fails(shrunk)).to.be.true;
+      expect(() => buildSpecs(shrunk)).not.to.throw();
+      // Only the target is needed to fail, and it is shrunk to an element without a value, fields or basedOn
+      expect(shrunk.map(d => d.name)).to.eql([target]);
+      expect(shrunk[0].value).to.be.undefined;
+      expect(shrunk[0].fields).to.be.empty;
+      expect(shrunk[0].basedOn).to.be.undefined;
+    });
+  });
+
+  it('should report seeds whose export logs errors', () => {
+    const capture = err.createCapture();
+    const exportFn = (specs) => {
+      if (specs.dataElements.all.length > 5) {
+        capture.logger().error('too many elements');
+      }
+    };
+    return fuzzExport(exportFn, { runs: 3, capture, shrink: false }).then((failures) => {
+      expect(failures.map(f => f.seed)).to.eql([1, 2, 3]);
+      expect(failures[0].errors[0].msg).to.equal('too many elements');
+      capture.dispose();
+    });
+  });
+
+  it('should shuffle specifications without losing items', () => {
+    const specs = generateSpecs(5);
+    expect(formatSpecs(shuffleSpecs(specs, 1))).to.equal(formatSpecs(specs));
+  });
+});
@@ -0,0 +1,37 @@
+const Mocha = require('mocha');
+
+// The mocha globals that a nested run's 'pre-require' replaces
+const GLOBALS = ['describe', 'xdescribe', 'context', 'xcontext', 'it', 'xit', 'specify', 'xspecify', 'before', 'after',
+  'beforeEach', 'afterEach', 'run'];
+
+// Runs a suite (e.g. the function returned by commonExportTests) in a separate mocha instance, so that tests can check
+// cases that are supposed to fail.  Resolves to the titles of the passed and pending cases, the title and error of each
+// failed case, and the messages the suite wrote with console.warn and console.error (which are kept off the output).
+function runSuite(suiteFn) {
+  const mocha = new Mocha({ reporter: function() {} });
+  const saved = {};
+  for (const name of GLOBALS) {
+    saved[name] = global[name];
+  }
+  mocha.suite.emit('pre-require', global, null, mocha);
+  try {
+    describe('suite', suiteFn);
+  } finally {
+    Object.assign(global, saved);
+  }
+
+  const results = { passed: [], failed: [], pending: [], messages: [] };
+  const consoleFns = { warn: console.warn, error: console.error };
+  console.warn = console.error = (...args) => results.messages.push(args.join(' '));
+  return new Promise((resolve) => {
+    const runner = mocha.run(() => {
+      Object.assign(console, consoleFns);
+      resolve(results);
+    });
+    runner.on('pass', test => results.passed.push(test.title));
+    runner.on('pending', test => results.pending.push(test.title));
+    runner.on('fail', (test, error) => results.failed.push({ title: test.title, error }));
+  });
+}
+
+module.exports = {runSuite};
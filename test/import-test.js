@@ -0,0 +1,44 @@
+const {expect} = require('chai');
+const {commonImportTests} = require('../import.js');
+const {FIXTURES, getFixture} = require('../fixtures.js');
+const {shuffleSpecs} = require('../fuzz.js');
+const {runSuite} = require('./helpers/run-suite.js');
+
+const importTitle = (name) => getFixture(name).title.replace(/\bexport\b/, 'import');
+
+describe('import', () => {
+  describe('#commonImportTests()', () => {
+    const sourceFn = (name) => `source of ${name}`;
+
+    it('should pass an importer that returns the fixture specifications in any order', () => {
+      const importFn = (source, name) => shuffleSpecs(getFixture(name).specs(), 42);
+      return runSuite(commonImportTests({ importFn, sourceFn })).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.eql(FIXTURES.filter(f => !f.optIn).map(f => importTitle(f.name)));
+      });
+    });
+
+    it('should fail an importer that returns the wrong specifications', () => {
+      const importFn = (source, name) => Promise.resolve(getFixture('Simple').specs());
+      return runSuite(commonImportTests({ importFn, sourceFn, include: ['Simple', 'Group'] })).then((results) => {
+        expect(results.passed).to.eql([importTitle('Simple')]);
+        expect(results.failed.map(f => f.title)).to.eql([importTitle('Group')]);
+        expect(results.failed[0].error.message).to.match(/^Imported specifications for Group do not match expected: \d+ item\(s\) differ$/);
+        expect(results.messages[0]).to.contain('shr.test.Group (missing)');
+      });
+    });
+
+    it('should skip a case whose source cannot be loaded', () => {
+      const importFn = (source, name) => getFixture(name).specs();
+      const failingSourceFn = (name) => {
+        throw new Error(`No source for ${name}`);
+      };
+      return runSuite(commonImportTests({ importFn, sourceFn: failingSourceFn, include: ['Simple'] })).then((results) => {
+        expect(results.failed).to.be.empty;
+        expect(results.passed).to.be.empty;
+        expect(results.pending).to.include(importTitle('Simple'));
+        expect(results.messages).to.eql(['Skipping Simple test.  Failed to load source/expected errors: Error: No source for Simple']);
+      });
+    });
+  });
+});
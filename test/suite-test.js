@@ -0,0 +1,101 @@
+const {expect} = require('chai');
+const {getFixture} = require('../fixtures.js');
+const {SpecificationsBuilder} = require('../builder.js');
+const {optedOut, excludedReason, defineCases, checkFixture, isUpdateEnvSet} = require('../suite.js');
+const {runSuite} = require('./helpers/run-suite.js');
+
+describe('suite', () => {
+  describe('#optedOut()', () => {
+    it('should leave out opt-in cases unless include or optIn names them', () => {
+      const mapping = getFixture('SimpleMapping');
+      expect(optedOut(mapping)).to.be.true;
+      expect(optedOut(mapping, ['Simple'], ['choice'])).to.be.true;
+      expect(optedOut(mapping, ['mapping'])).to.be.false;
+      expect(optedOut(mapping, undefined, ['SimpleMapping'])).to.be.false;
+    });
+
+    it('should keep the default cases', () => {
+      expect(optedOut(getFixture('Simple'))).to.be.false;
+    });
+  });
+
+  describe('#excludedReason()', () => {
+    const fixture = getFixture('ChoiceOfChoice');
+
+    it('should report cases that include does not name', () => {
+      expect(excludedReason(fixture, ['Simple', 'group'])).to.equal('not included by Simple, group');
+      expect(excludedReason(fixture, ['choice'])).to.be.undefined;
+    });
+
+    it('should report excluded cases, with the reason given', () => {
+      expect(excludedReason(fixture, undefined, ['choice:nested'])).to.equal('excluded by choice:nested');
+      expect(excludedReason(fixture, undefined, { choice: 'Choices are not supported' })).to.equal('Choices are not supported');
+      expect(excludedReason(fixture, undefined, { Simple: 'no' })).to.be.undefined;
+    });
+  });
+
+  describe('#isUpdateEnvSet()', () => {
+    const envVar = 'SHR_TEST_HELPERS_UPDATE';
+    afterEach(() => {
+      delete process.env[envVar];
+    });
+
+    it('should be true unless the variable is unset, empty, 0, or false', () => {
+      expect(isUpdateEnvSet(envVar)).to.be.false;
+      for (const value of ['', '0', 'false', 'FALSE']) {
+        process.env[envVar] = value;
+        expect(isUpdateEnvSet(envVar)).to.be.false;
+      }
+      for (const value of ['1', 'true', 'yes']) {
+        process.env[envVar] = value;
+        expect(isUpdateEnvSet(envVar)).to.be.true;
+      }
+    });
+  });
+
+  describe('#defineCases()', () => {
+    const broken = {
+      name: 'Broken',
+      title: 'should export a broken case',
+      tags: [],
+      specs: () => new SpecificationsBuilder('shr.test').element('Group', { fields: ['Undefined'] })
+        .build({ allowUndefined: true })
+    };
+    const cases = [getFixture('Simple'), getFixture('Group'), getFixture('SimpleMapping'), broken];
+
+    it('should define the selected cases, with pending tests for the excluded ones', () => {
+      const runs = [];
+      const run = (fixture, specs, testCase) => {
+        runs.push(`${fixture.name} ${specs.dataElements.all.length} ${testCase.timeout()}`);
+      };
+      let tests;
+      const suite = () => {
+        tests = defineCases(cases, { exclude: { Group: 'Groups are not supported' }, timeout: { Simple: 1234 } },
+          { title: fixture => `${fixture.name} case`, defaultTimeout: 5678 }, run);
+      };
+      return runSuite(suite).then((results) => {
+        expect(Array.from(tests.values()).map(f => f.name)).to.eql(['Simple', 'Group', 'Broken']);
+        expect(results.pending).to.eql(['Group case (skipped: Groups are not supported)']);
+        expect(results.passed).to.eql(['Simple case']);
+        expect(runs).to.eql(['Simple 1 1234']);
+        expect(results.failed.map(f => f.title)).to.eql(['Broken case']);
+        expect(results.failed[0].error.message).to.match(/^Fixture Broken is invalid: 1 problem\(s\)/);
+      });
+    });
+  });
+
+  describe('#checkFixture()', () => {
+    it('should accept fixtures that have only the problems they declare', () => {
+      for (const name of ['Simple', 'EmptyNamespace', 'CircularBasedOn']) {
+        checkFixture(getFixture(name), getFixture(name).specs());
+      }
+    });
+
+    it('should reject fixtures that are missing an expected problem or have another one', () => {
+      const circular = getFixture('CircularBasedOn');
+      expect(() => checkFixture(circular, getFixture('Simple').specs()))
+        .to.throw('Invalid fixture CircularBasedOn does not have the expected problem(s): basedOn-cycle');
+      expect(() => checkFixture(getFixture('Simple'), circular.specs())).to.throw(/Fixture Simple is invalid: 1 problem/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const {expect} = require('chai');
+const mdl = require('shr-models');
+const {SpecificationsBuilder} = require('../builder.js');
+const {validateSpecs, expectValidSpecs} = require('../validate.js');
+
+const kinds = (specs, options) => validateSpecs(specs, options).map(p => p.kind);
+
+describe('validate', () => {
+  it('should accept valid specifications', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Simple', { value: 'string' })
+      .element('Group', { fields: ['Simple', { type: 'Simple', card: '0..1', constraints: [{ card: '1..1' }] }] })
+      .build();
+    expect(validateSpecs(specs)).to.be.empty;
+    expectValidSpecs(specs);
+  });
+
+  it('should report unresolved identifiers and unknown primitives', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Group', { fields: ['Undefined', new mdl.IdentifiableValue(new mdl.PrimitiveIdentifier('strung'))] })
+      .build({ allowUndefined: true });
+    expect(kinds(specs)).to.eql(['unresolved-identifier', 'unknown-primitive']);
+  });
+
+  it('should report basedOn cycles once', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('A', { basedOn: 'B' })
+      .element('B', { basedOn: 'A' })
+      .build();
+    expect(kinds(specs)).to.eql(['basedOn-cycle']);
+  });
+
+  it('should report constraint paths that do not resolve', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Simple', { value: 'string' })
+      .element('Other', { value: 'string' })
+      .element('Field', { fields: ['Simple'] })
+      .element('Group', { fields: [{ type: 'Field', constraints: [{ card: '1..1', path: ['Other'] }] }] })
+      .build();
+    expect(kinds(specs)).to.eql(['unresolved-path']);
+  });
+
+  it('should report empty namespaces unless they are ignored', () => {
+    const specs = new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+    specs.namespaces.add(new mdl.Namespace('shr.empty'));
+    expect(kinds(specs)).to.eql(['empty-namespace']);
+    expect(kinds(specs, { ignore: ['empty-namespace'] })).to.be.empty;
+  });
+
+  it('should report type constraints to types that are not based on the constrained type', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Simple', { value: 'string' })
+      .element('SimpleChild', { basedOn: 'Simple' })
+      .element('Other', { value: 'string' })
+      .element('Group', { fields: [{ type: 'Simple', constraints: [{ type: 'SimpleChild' }] }] })
+      .element('BadGroup', { fields: [{ type: 'Simple', constraints: [{ type: 'Other' }] }] })
+      .build();
+    expect(validateSpecs(specs).map(p => `${p.item} ${p.kind}`)).to.eql(['shr.test.BadGroup invalid-type-constraint']);
+  });
+
+  it('should report card constraints that widen the cardinality', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Optional', { value: { type: 'string', card: '0..1' } })
+      .element('Field', { fields: [{ type: 'Optional', card: '0..3' }] })
+      .element('Group', { fields: [{ type: 'Field', constraints: [{ card: '1..2', path: ['Optional'] }] }] })
+      .element('BadGroup', { fields: [{ type: 'Field', constraints: [{ card: '0..*', path: ['Optional'] }] }] })
+      .build();
+    expect(validateSpecs(specs).map(p => `${p.item} ${p.kind}`)).to.eql(['shr.test.BadGroup widened-cardinality']);
+  });
+
+  it('should report code constraints on values that are not concepts', () => {
+    const specs = new SpecificationsBuilder('shr.test')
+      .element('Coded', { value: 'concept' })
+      .element('Group', { fields: [{ type: 'Coded', constraints: [{ code: ['http://foo.org', 'bar', 'Foobar'] }] }] })
+      .element('BadGroup', { value: { type: 'string', constraints: [{ valueSet: 'http://foo.org/vs' }] } })
+      .build();
+    expect(validateSpecs(specs).map(p => `${p.item} ${p.kind}`)).to.eql(['shr.test.BadGroup invalid-code-constraint']);
+  });
+
+  it('should report elements that are defined more than once', () => {
+    const specs = new SpecificationsBuilder('shr.test').element('Simple', { value: 'string' }).build();
+    specs.dataElements.add(new mdl.DataElement(new mdl.Identifier('shr.test', 'Simple')), 'Other.txt');
+    expect(validateSpecs(specs).map(p => `${p.item} ${p.kind}`)).to.eql(['shr.test.Simple duplicate-identifier']);
+  });
+
+  it('should fail expectValidSpecs with the list of problems', () => {
+    const specs = new SpecificationsBuilder('shr.test').element('Group', { fields: ['Undefined'] })
+      .build({ allowUndefined: true });
+    expect(() => expectValidSpecs(specs, 'Broken')).to.throw(/Broken: 1 problem\(s\)\nshr.test.Group: .*Undefined/);
+  });
+});
@@ -0,0 +1,298 @@
+const {AssertionError} = require('chai');
+const mdl = require('shr-models');
+const {dataElementJSON} = require('./canonical.js');
+
+// Checks the integrity of an mdl.Specifications, returning a list of problems (empty if there are none).  Each problem
+// has a kind, the FQN of the item it was found in, and a message.  The kinds are:
+// - unresolved-identifier: a basedOn, value, field, or constraint type that isn't defined in the Specifications
+// - unknown-primitive:     a primitive identifier that isn't one of mdl.PRIMITIVES
+// - basedOn-cycle:         elements that are (indirectly) based on themselves
+// - unresolved-path:       a constraint (or content profile rule) path that doesn't lead through the fields and values
+//                          of the constrained (or profiled) type
+// - empty-namespace:       a namespace that defines no data elements, value sets, or code systems
+// - invalid-type-constraint: a type (or includes type) constraint to a type that isn't the constrained type or based on
+//                          it
+// - widened-cardinality:   a card constraint that allows cardinalities the constrained value doesn't
+// - invalid-code-constraint: a code, includes code, or value set constraint on a value that isn't (or has no value
+//                          that is) a concept
+// - duplicate-identifier:  a data element identifier with more than one (different) definition (found through
+//                          dataElements.byFile, since dataElements.all only keeps the last definition)
+// Problems of the kinds listed in options.ignore aren't reported.
+function validateSpecs(specs, options={}) {
+  const problems = [];
+  const ignore = options.ignore || [];
+  const report = (kind, item, message) => {
+    if (!ignore.includes(kind)) {
+      problems.push({ kind, item, message });
+    }
+  };
+
+  for (const de of specs.dataElements.all) {
+    const item = de.identifier.fqn;
+    for (const basedOn of de.basedOn) {
+      checkIdentifier(specs, basedOn, item, `basedOn ${basedOn.fqn}`, report);
+    }
+    for (const value of [de.value, ...de.fields]) {
+      checkValue(specs, value, item, report);
+    }
+  }
+
+  // The fixture helpers add shared elements (e.g. Simple) again each time they're used, so identical definitions
+  // are counted once
+  const definitions = new Map();
+  for (const file of specs.dataElements.files) {
+    for (const de of specs.dataElements.byFile(file)) {
+      const fqn = de.identifier.fqn;
+      if (!definitions.has(fqn)) {
+        definitions.set(fqn, new Map());
+      }
+      definitions.get(fqn).set(JSON.stringify(dataElementJSON(de)), file);
+    }
+  }
+  for (const [fqn, files] of definitions) {
+    if (files.size > 1) {
+      const where = Array.from(files.values()).map(f => f === undefined ? '(no file)' : f).join(', ');
+      report('duplicate-identifier', fqn, `defined ${files.size} times (in ${where})`);
+    }
+  }
+
+  for (const cp of specs.contentProfiles.all) {
+    const item = `content profile ${cp.identifier.fqn}`;
+    if (checkIdentifier(specs, cp.identifier, item, `profiled element ${cp.identifier.fqn}`, report)) {
+      for (const rule of cp.rules) {
+        if (!resolvePath(specs, cp.identifier, rule.path).length) {
+          report('unresolved-path', item, `rule path (${rule.path.map(p => p.fqn).join('.')}) doesn't resolve`);
+        }
+      }
+    }
+  }
+
+  for (const cycle of findBasedOnCycles(specs)) {
+    report('basedOn-cycle', cycle[0], `basedOn cycle: ${cycle.join(' -> ')}`);
+  }
+
+  for (const ns of specs.namespaces.all) {
+    const hasItems = [specs.dataElements, specs.valueSets, specs.codeSystems].some(collection => {
+      return collection && collection.all.some(i => i.identifier && i.identifier.namespace === ns.namespace);
+    });
+    if (!hasItems) {
+      report('empty-namespace', ns.namespace, `namespace ${ns.namespace} has no data elements, value sets, or code systems`);
+    }
+  }
+  return problems;
+}
+
+function checkValue(specs, value, item, report) {
+  if (typeof value === 'undefined' || value instanceof mdl.TBD) {
+    return;
+  } else if (value instanceof mdl.ChoiceValue) {
+    for (const option of value.options) {
+      checkValue(specs, option, item, report);
+    }
+    return;
+  }
+  const resolved = checkIdentifier(specs, value.identifier, item, `value ${value.identifier.fqn}`, report);
+  for (const constraint of value.constraints) {
+    const description = `${constraint.constructor.name} on ${value.identifier.fqn}`;
+    const typesResolved = constraintTypes(constraint).map(isA => {
+      return checkIdentifier(specs, isA, item, `${description} type ${isA.fqn}`, report);
+    }).every(r => r);
+    if (!resolved) {
+      continue;
+    }
+    // The values the constraint applies to: the constrained value itself, or the values at the end of its path
+    let targets = [value];
+    if (constraint.path.length) {
+      targets = resolvePath(specs, value.identifier, constraint.path);
+      if (!targets.length) {
+        const path = constraint.path.map(p => p.fqn).join('.');
+        report('unresolved-path', item, `${description} has a path (${path}) that doesn't resolve`);
+        continue;
+      }
+    }
+    if (typesResolved) {
+      checkConstraintTarget(specs, constraint, targets, item, description, report);
+    }
+  }
+}
+
+// Reports a constraint that doesn't fit any of the values it applies to
+function checkConstraintTarget(specs, constraint, targets, item, description, report) {
+  if (constraint instanceof mdl.TypeConstraint || constraint instanceof mdl.IncludesTypeConstraint) {
+    // A constraint on the value constrains the type of the targets' values rather than the targets' own type
+    const types = constraint.onValue ? targets.reduce((t, v) => t.concat(valueTypes(specs, v.identifier)), [])
+      : targets.map(v => v.identifier);
+    if (!types.some(type => isSubtype(specs, constraint.isA, type))) {
+      const names = types.map(t => t.fqn).join(' or ');
+      report('invalid-type-constraint', item, `${description} type ${constraint.isA.fqn} isn't based on ${names}`);
+    }
+  } else if (constraint instanceof mdl.CardConstraint) {
+    if (!targets.some(v => !v.card || constraint.card.fitsWithinCardinalityOf(v.card))) {
+      const cards = targets.map(v => v.card.toString()).join(' or ');
+      report('widened-cardinality', item, `${description} cardinality ${constraint.card} doesn't fit within ${cards}`);
+    }
+  } else if (constraint instanceof mdl.CodeConstraint || constraint instanceof mdl.IncludesCodeConstraint
+    || constraint instanceof mdl.ValueSetConstraint) {
+    if (!targets.some(v => isCodeable(specs, v.identifier))) {
+      const names = targets.map(v => v.identifier.fqn).join(' or ');
+      report('invalid-code-constraint', item, `${description} applies to ${names}, which isn't a concept`);
+    }
+  }
+}
+
+// Returns true if the type is the base type or (indirectly) based on it
+function isSubtype(specs, type, base) {
+  if (type.equals(base)) {
+    return true;
+  }
+  return !type.isPrimitive && inheritedElements(specs, type).some(de => de.identifier.equals(base));
+}
+
+// Returns true if the type is a concept, or an element whose value is (directly or through other elements' values)
+function isCodeable(specs, identifier, seen=new Set()) {
+  if (identifier.isPrimitive) {
+    return identifier.name === 'concept';
+  } else if (seen.has(identifier.fqn)) {
+    return false;
+  }
+  seen.add(identifier.fqn);
+  return valueTypes(specs, identifier).some(t => isCodeable(specs, t, seen));
+}
+
+// Reports an identifier that isn't a known primitive or a defined element.  Returns true if it resolves.
+function checkIdentifier(specs, identifier, item, description, report) {
+  if (identifier instanceof mdl.TBD) {
+    return false;
+  } else if (identifier.isPrimitive) {
+    if (!mdl.PRIMITIVES.includes(identifier.name)) {
+      report('unknown-primitive', item, `${description} is not a known primitive`);
+      return false;
+    }
+    return true;
+  } else if (!specs.dataElements.findByIdentifier(identifier)) {
+    report('unresolved-identifier', item, `${description} is not defined`);
+    return false;
+  }
+  return true;
+}
+
+function constraintTypes(constraint) {
+  if (constraint instanceof mdl.TypeConstraint || constraint instanceof mdl.IncludesTypeConstraint) {
+    return [constraint.isA];
+  } else if (mdl.SubsetConstraint && constraint instanceof mdl.SubsetConstraint) {
+    return constraint.subsetList;
+  }
+  return [];
+}
+
+// Follows a constraint or content profile rule path from a type through the fields and values (including inherited
+// ones) of each element on the way.  A step that isn't a field or value of the current element can also be reached
+// through the element's value, as SHR paths skip over values.  Returns the values the last step resolves to (each
+// with its identifier and cardinality), or an empty list if a step doesn't resolve.
+function resolvePath(specs, start, path) {
+  let current = [start];
+  let values = [];
+  for (const step of path) {
+    const next = [];
+    values = [];
+    const seen = new Set();
+    const search = (identifier) => {
+      if (identifier.isPrimitive || seen.has(identifier.fqn)) {
+        return;
+      }
+      seen.add(identifier.fqn);
+      const matches = childValues(specs, identifier).filter(v => v.identifier.equals(step));
+      if (matches.length) {
+        next.push(step);
+        values.push(...matches);
+      } else {
+        for (const valueType of valueTypes(specs, identifier)) {
+          search(valueType);
+        }
+      }
+    };
+    current.forEach(search);
+    if (next.length === 0) {
+      return [];
+    }
+    current = next;
+  }
+  return values;
+}
+
+// The identifiable values of an element's value (or value options) and fields, including those inherited through
+// basedOn
+function childValues(specs, identifier) {
+  const withValue = inheritedElements(specs, identifier).find(de => typeof de.value !== 'undefined');
+  const values = withValue ? identifiableValues(withValue.value) : [];
+  return values.concat(inheritedElements(specs, identifier).reduce((fields, de) => {
+    return fields.concat(...de.fields.map(identifiableValues));
+  }, []));
+}
+
+// The types of an element's value (or value options), including an inherited value
+function valueTypes(specs, identifier) {
+  const withValue = inheritedElements(specs, identifier).find(de => typeof de.value !== 'undefined');
+  return withValue ? identifiableValues(withValue.value).map(v => v.identifier) : [];
+}
+
+function identifiableValues(value) {
+  if (value instanceof mdl.ChoiceValue) {
+    return value.options.reduce((values, option) => values.concat(identifiableValues(option)), []);
+  } else if (value instanceof mdl.IdentifiableValue) {
+    return [value];
+  }
+  return [];
+}
+
+// Returns the element and its basedOn ancestors, nearest first, stopping at cycles and undefined elements
+function inheritedElements(specs, identifier, seen=new Set()) {
+  const de = specs.dataElements.findByIdentifier(identifier);
+  if (!de || seen.has(identifier.fqn)) {
+    return [];
+  }
+  seen.add(identifier.fqn);
+  return [de].concat(...de.basedOn.filter(b => b instanceof mdl.Identifier).map(b => inheritedElements(specs, b, seen)));
+}
+
+// Returns each basedOn cycle once, as the list of FQNs around the cycle (starting and ending with the same FQN)
+function findBasedOnCycles(specs) {
+  const cycles = [];
+  const state = new Map(); // FQN -> 'visiting' or 'done'
+  const stack = [];
+  const visit = (de) => {
+    const fqn = de.identifier.fqn;
+    if (state.get(fqn) === 'done') {
+      return;
+    } else if (state.get(fqn) === 'visiting') {
+      cycles.push(stack.slice(stack.indexOf(fqn)).concat(fqn));
+      return;
+    }
+    state.set(fqn, 'visiting');
+    stack.push(fqn);
+    for (const basedOn of de.basedOn) {
+      const parent = basedOn instanceof mdl.Identifier ? specs.dataElements.findByIdentifier(basedOn) : undefined;
+      if (parent) {
+        visit(parent);
+      }
+    }
+    stack.pop();
+    state.set(fqn, 'done');
+  };
+  specs.dataElements.all.forEach(visit);
+  return cycles;
+}
+
+function formatProblems(problems) {
+  return problems.map(p => `${p.item}: ${p.message} (${p.kind})`).join('\n');
+}
+
+// Asserts that a Specifications has no integrity problems, failing with the list of problems if it does
+function expectValidSpecs(specs, message='Specifications are invalid', options={}) {
+  const problems = validateSpecs(specs, options);
+  if (problems.length) {
+    throw new AssertionError(`${message}: ${problems.length} problem(s)\n${formatProblems(problems)}`);
+  }
+}
+
+module.exports = {validateSpecs, formatProblems, expectValidSpecs};